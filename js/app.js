@@ -1,57 +1,123 @@
-// Wait for transformers.js to load - access via window object
-let pipeline, env;
-
-// Initialize transformers.js when available
-function initTransformers() {
-    console.log('Checking for transformers.js...');
-    console.log('window.transformers:', typeof window.transformers);
-    console.log('window.pipeline:', typeof window.pipeline);
-    console.log('window.env:', typeof window.env);
-    
-    // Try different ways transformers.js might be exposed
-    if (window.transformers && window.transformers.pipeline && window.transformers.env) {
-        console.log('Found transformers.js as window.transformers');
-        pipeline = window.transformers.pipeline;
-        env = window.transformers.env;
-    } else if (window.pipeline && window.env) {
-        console.log('Found transformers.js as window.pipeline/env');
-        pipeline = window.pipeline;
-        env = window.env;
-    } else {
-        // Check if script is still loading
-        const scripts = document.querySelectorAll('script[src*="transformers"]');
-        console.log('Transformers script tags found:', scripts.length);
-        scripts.forEach((script, i) => {
-            console.log(`Script ${i}:`, script.src, 'loaded:', script.readyState || 'unknown');
-        });
-        
-        console.error('Transformers.js not loaded yet or not found');
+// Whisper and the summarizer run in a Web Worker (js/model-worker.js) so
+// inference never blocks the page; see loadWorkerPipeline for the proxies
+const MODEL_WORKER_URL = 'js/model-worker.js';
+
+// Start the model worker (it imports transformers.js from the CDN itself)
+function initModelWorker() {
+    if (state.modelWorker) return true;
+    
+    if (typeof Worker === 'undefined') {
+        console.error('Web Workers are not supported in this browser');
         return false;
     }
     
     try {
-        // Configure transformers.js
-        // CRITICAL: Set allowLocalModels to FALSE to force CDN loading
-        // This fixes the "Unsupported model type" error
-        env.allowLocalModels = false;
-        env.backends.onnx.wasm.numThreads = navigator.hardwareConcurrency || 4;
-        env.backends.onnx.wasm.proxy = false;
-        
-        console.log('✓ Transformers.js configured:');
-        console.log('  - allowLocalModels:', env.allowLocalModels);
-        console.log('  - WASM threads:', env.backends.onnx.wasm.numThreads);
-        console.log('  - Pipeline type:', typeof pipeline);
-        console.log('  - Env type:', typeof env);
-        return true;
+        state.modelWorker = new Worker(MODEL_WORKER_URL, { type: 'module' });
     } catch (err) {
-        console.error('Error configuring transformers.js:', err);
+        console.error('Error starting model worker:', err);
         return false;
     }
+    
+    state.modelWorker.onmessage = (event) => handleModelWorkerMessage(event.data);
+    state.modelWorker.onerror = (event) => {
+        // Module import failures (CDN blocked, offline) land here
+        console.error('❌ Model worker error:', event.message);
+        event.preventDefault();
+        rejectPendingModelRequests(`Model worker failed: ${event.message || 'could not load Transformers.js'}`);
+        state.modelWorker.terminate();
+        state.modelWorker = null;
+    };
+    
+    console.log('✓ Model worker started');
+    return true;
+}
+
+// Send a request to the model worker and wait for its reply
+// onProgress receives load progress events; aborting signal rejects at once
+// and drops the request if the worker hasn't started it (a run already in
+// progress finishes in the worker and its result is discarded)
+function sendModelRequest(type, payload = {}, { onProgress = null, signal = null } = {}) {
+    if (!initModelWorker()) {
+        return Promise.reject(new Error('Model worker is not available'));
+    }
+    if (signal?.aborted) {
+        return Promise.reject(signal.reason);
+    }
+    
+    const requestId = ++state.modelRequestId;
+    
+    return new Promise((resolve, reject) => {
+        const pending = { resolve, reject, onProgress, signal, onAbort: null };
+        
+        if (signal) {
+            pending.onAbort = () => {
+                state.modelRequests.delete(requestId);
+                state.modelWorker?.postMessage({ type: 'cancel', requestId });
+                reject(signal.reason);
+            };
+            signal.addEventListener('abort', pending.onAbort, { once: true });
+        }
+        
+        state.modelRequests.set(requestId, pending);
+        state.modelWorker.postMessage({ type, requestId, ...payload });
+    });
+}
+
+// Route a worker message to the request it belongs to
+function handleModelWorkerMessage(data) {
+    const pending = state.modelRequests.get(data.requestId);
+    if (!pending) return; // Cancelled
+    
+    if (data.type === 'progress') {
+        pending.onProgress?.(data.progress);
+        return;
+    }
+    
+    state.modelRequests.delete(data.requestId);
+    pending.signal?.removeEventListener('abort', pending.onAbort);
+    
+    if (data.type === 'error') {
+        pending.reject(new Error(data.message));
+    } else {
+        pending.resolve(data.result);
+    }
+}
+
+// Fail all outstanding requests (worker is going away)
+function rejectPendingModelRequests(reason) {
+    for (const pending of state.modelRequests.values()) {
+        pending.signal?.removeEventListener('abort', pending.onAbort);
+        pending.reject(new Error(reason));
+    }
+    state.modelRequests.clear();
+}
+
+// Load a pipeline in the worker; takes the same arguments as transformers.js
+// pipeline() and resolves with a proxy that is called like the pipeline:
+//   await transcriber(audio, { ...options, signal })
+// Whisper proxies also detectLanguage(audio, { languages, signal }), resolving
+// {language, probability}; the proxy's dispose() unloads the model in the worker
+async function loadWorkerPipeline(task, model, { progress_callback, ...options } = {}) {
+    await sendModelRequest('load', { task, model, options }, { onProgress: progress_callback });
+    
+    const run = (input, { signal, ...runOptions } = {}) =>
+        sendModelRequest('run', { model, input, options: runOptions }, { signal });
+    run.task = task;
+    run.model = model;
+    run.detectLanguage = (input, { languages = [], signal } = {}) =>
+        sendModelRequest('detect_language', { model, input, languages }, { signal });
+    run.dispose = () => sendModelRequest('unload', { model });
+    return run;
 }
 
 // Constants
-const MAX_FILE_SIZE_MB = 500;
+const MAX_FILE_SIZE_MB = 500; // Whole-file decodes; WAV/MP3 stream (MAX_STREAMING_FILE_SIZE_MB)
+const MAX_MEETING_AUDIO_MB = 200; // Larger recordings/uploads are played back but not stored
+const FILE_WINDOW_EDGE_SECONDS = 0.05; // Speech ending this close to a window end was cut off
+const FILE_MIN_TAIL_SECONDS = 0.3; // Carried-over speech left after a track's transcribed part; less is dropped
+const FILE_CHECKPOINT_INTERVAL = 30000; // Checkpoint at most this often (ms), and at each window end
 const MODEL_LOAD_TIMEOUT = 300000; // 5 minutes
+const VAD_COMMAND_TIMEOUT = 2000; // Worklet replies are near-instant
 
 // All available models
 // Using multilingual models for language support
@@ -87,27 +153,64 @@ const LANGUAGES = [
     { code: 'sv', name: 'Swedish' }
 ];
 
+// Whisper output picked next to the language
+const TASK_MODES = {
+    transcribe: 'transcribe',   // Text in the spoken language
+    translate: 'translate',     // English translation only
+    both: 'both'                // Spoken language plus an English translation per utterance
+};
+
 // State management
 const state = {
     transcriber: null,
     currentModelId: null,
     selectedFile: null,
+    fileCheckpoint: null, // Interrupted transcription of selectedFile (resumable)
     currentTranscript: '',
     isLoadingModel: false,
-    isTranscribing: false,
+    isTranscribing: false,       // Utterance queue is being drained (see drainUtteranceQueue)
+    utteranceQueue: [],          // Utterances waiting for Whisper: {audio, startTime, duration, features, sampleRate, overlap, track, signal, waiters}
+    utteranceQueueDowngraded: false, // Backlog is transcribed with Tiny until the queue empties
+    utteranceQueueWarned: false,
+    utteranceQueueIdle: [],      // Resolvers of waitForUtteranceQueue()
+    transcriptionAbort: new AbortController(), // Aborted by the Cancel button (see cancelTranscription)
     shareStream: null,
-    shareRecorder: null,
+    shareRecorder: null,         // MediaRecorder of the running capture (see startMeetingRecording)
     shareChunks: [],
+    meetingAudio: null,          // {blob, offset, firstUtterance, endUtterance, saved} latest recording of the current meeting
+    meetingAudioUrl: null,       // Object URL playing in the transcript tab
     audioContexts: [], // Track for cleanup
     loadedModels: {}, // Cache for preloaded models
+    modelWorker: null,           // Worker hosting the transformers.js pipelines
+    modelRequests: new Map(),    // Pending model worker requests by requestId
+    modelRequestId: 0,
     allModelsLoaded: false,
+    isProcessingFile: false,     // Uploaded file going through VAD + diarization
+    filePreview: null,           // Waveform of selectedFile: {file, duration, min, max, peak, stopped}
+    fileRange: null,             // {start, end} seconds of selectedFile to transcribe, null = whole file
+    fileQueue: [],               // Batch jobs: {id, file, channelOptions, status, detail, meetingId, abort}
+    fileQueueRunning: false,
+    fileJobId: 0,
     // Live transcription state (AudioWorklet VAD)
     isLiveTranscribing: false,
-    shareStream: null,
+    captureStream: null,         // Screen/tab or microphone stream being captured
+    captureSource: null,         // 'screen' | 'mic' while capturing
+    localStream: null,           // Dual capture: our own microphone next to the tab
     audioContext: null,
     audioWorkletNode: null,
+    localWorkletNode: null,      // Dual capture: VAD for localStream
     isSpeaking: false,
     speechStartTime: 0,
+    vadRequests: new Map(),      // Pending worklet commands by requestId
+    vadRequestId: 0,
+    vadSettings: {},             // Active VAD tuning (see loadVADSettings)
+    preprocessSettings: {},      // Audio clean-up before Whisper (see loadPreprocessSettings)
+    detectLanguages: [],         // Auto-detect picks only among these codes, [] = any language
+    vadTelemetry: {              // Live meters (see renderVADTelemetry)
+        columns: [],             // Waveform history: {min, max, speaking} per update
+        silentSince: null,
+        warned: false
+    },
     // Diarization state
     utterances: [],              // Store all utterances with features
     speakers: [],                // Identified speakers
@@ -160,7 +263,7 @@ const state = {
 
 // Helper to check if any operation is in progress
 function isAnyOperationInProgress() {
-    return state.isLoadingModel || state.isTranscribing;
+    return state.isLoadingModel || state.isTranscribing || state.isProcessingFile || state.fileQueueRunning;
 }
 
 // DOM elements
@@ -169,16 +272,40 @@ const els = {
     status: document.getElementById('status'),
     statusText: document.getElementById('statusText'),
     loadModelBtn: document.getElementById('loadModelBtn'),
+    cancelTranscriptionBtn: document.getElementById('cancelTranscriptionBtn'),
     modelSelect: document.getElementById('modelSelect'),
     languageSelect: document.getElementById('languageSelect'),
+    detectLanguagesList: document.getElementById('detectLanguagesList'),
+    taskSelect: document.getElementById('taskSelect'),
     fileInput: document.getElementById('fileInput'),
     selectFileBtn: document.getElementById('selectFileBtn'),
     fileName: document.getElementById('fileName'),
     transcribeFileBtn: document.getElementById('transcribeFileBtn'),
+    channelModeSelect: document.getElementById('channelModeSelect'),
+    fileDropZone: document.getElementById('fileDropZone'),
+    filePreview: document.getElementById('filePreview'),
+    filePreviewWave: document.getElementById('filePreviewWave'),
+    filePreviewCanvas: document.getElementById('filePreviewCanvas'),
+    rangeStartHandle: document.getElementById('rangeStartHandle'),
+    rangeEndHandle: document.getElementById('rangeEndHandle'),
+    rangeStartInput: document.getElementById('rangeStartInput'),
+    rangeEndInput: document.getElementById('rangeEndInput'),
+    rangeResetBtn: document.getElementById('rangeResetBtn'),
+    rangeSummary: document.getElementById('rangeSummary'),
+    fileQueue: document.getElementById('fileQueue'),
+    fileQueueList: document.getElementById('fileQueueList'),
+    fileQueueSummary: document.getElementById('fileQueueSummary'),
+    clearFileQueueBtn: document.getElementById('clearFileQueueBtn'),
     startShareBtn: document.getElementById('startShareBtn'),
     stopShareBtn: document.getElementById('stopShareBtn'),
+    micDeviceSelect: document.getElementById('micDeviceSelect'),
+    includeMicCheckbox: document.getElementById('includeMicCheckbox'),
+    startMicBtn: document.getElementById('startMicBtn'),
+    stopMicBtn: document.getElementById('stopMicBtn'),
     copyBtn: document.getElementById('copyBtn'),
     downloadBtn: document.getElementById('downloadBtn'),
+    downloadSrtBtn: document.getElementById('downloadSrtBtn'),
+    downloadVttBtn: document.getElementById('downloadVttBtn'),
     saveMeetingBtn: document.getElementById('saveMeetingBtn'),
     historyBtn: document.getElementById('historyBtn'),
     closeSidebarBtn: document.getElementById('closeSidebarBtn'),
@@ -222,7 +349,21 @@ const els = {
     exportJsonBtn: document.getElementById('exportJsonBtn'),
     exportTextBtn: document.getElementById('exportTextBtn'),
     lowMemoryMode: document.getElementById('lowMemoryMode'),
-    toggleLiveMode: document.getElementById('toggleLiveMode')
+    toggleLiveMode: document.getElementById('toggleLiveMode'),
+    resetVADSettingsBtn: document.getElementById('resetVADSettingsBtn'),
+    recalibrateVADBtn: document.getElementById('recalibrateVADBtn'),
+    resetPreprocessBtn: document.getElementById('resetPreprocessBtn'),
+    vadNoiseFloor: document.getElementById('vadNoiseFloor'),
+    vadTelemetry: document.getElementById('vadTelemetry'),
+    vadLamp: document.getElementById('vadLamp'),
+    vadStateText: document.getElementById('vadStateText'),
+    utteranceQueueText: document.getElementById('utteranceQueueText'),
+    levelMeterFill: document.getElementById('levelMeterFill'),
+    levelMeterThreshold: document.getElementById('levelMeterThreshold'),
+    levelMeterText: document.getElementById('levelMeterText'),
+    vadWaveform: document.getElementById('vadWaveform'),
+    meetingAudioPanel: document.getElementById('meetingAudioPanel'),
+    meetingAudioPlayer: document.getElementById('meetingAudioPlayer')
 };
 
 // Utility functions
@@ -260,14 +401,17 @@ function cleanupAudioContexts() {
     state.audioContexts = [];
 }
 
-function validateFile(file) {
+// streamable: WAV/MP3, decoded in windows (see streamAudio), may be larger
+function validateFile(file, streamable = false) {
     if (!file) {
         throw new Error('No file selected');
     }
     
     const sizeMB = file.size / 1024 / 1024;
-    if (sizeMB > MAX_FILE_SIZE_MB) {
-        throw new Error(`File too large (${Math.round(sizeMB)}MB). Maximum size is ${MAX_FILE_SIZE_MB}MB.`);
+    const maxMB = streamable ? MAX_STREAMING_FILE_SIZE_MB : MAX_FILE_SIZE_MB;
+    if (sizeMB > maxMB) {
+        const hint = streamable ? '' : ' Convert it to WAV or MP3 to transcribe longer recordings.';
+        throw new Error(`File too large (${Math.round(sizeMB)}MB). Maximum size is ${maxMB}MB.${hint}`);
     }
     
     return true;
@@ -299,8 +443,7 @@ function updateStartupModelStatus(modelIndex, status, icon = '⏳') {
 async function preloadAllModels() {
     console.log('=== preloadAllModels() CALLED ===');
     console.log('Available models:', AVAILABLE_MODELS);
-    console.log('Pipeline available:', typeof pipeline);
-    console.log('Env available:', typeof env);
+    console.log('Model worker running:', !!state.modelWorker);
     
     // Show startup screen
     if (els.startupScreen) {
@@ -353,14 +496,12 @@ async function preloadAllModels() {
             
             // Load the model with proper configuration
             console.log(`\nAttempting to load model: ${model.id}`);
-            console.log('Pipeline available:', typeof pipeline);
-            console.log('env.allowLocalModels:', env.allowLocalModels);
             
             let loadedModel;
             try {
                 // Load with proper options for Whisper models
                 console.log('Loading with automatic-speech-recognition pipeline...');
-                loadedModel = await pipeline('automatic-speech-recognition', model.id, {
+                loadedModel = await loadWorkerPipeline('automatic-speech-recognition', model.id, {
                     quantized: true, // Use quantized models for smaller size
                     progress_callback: (progress) => {
                         if (progress.status === 'progress' && progress.progress !== undefined) {
@@ -537,11 +678,9 @@ async function loadModelIfNeeded() {
         throw new Error('Model is already being loaded');
     }
     
-    // Ensure transformers.js is initialized
-    if (!pipeline || !env) {
-        if (!initTransformers()) {
-            throw new Error('Transformers.js library not loaded. Please refresh the page.');
-        }
+    // Ensure the model worker is running
+    if (!initModelWorker()) {
+        throw new Error('Model worker could not be started. Please refresh the page.');
     }
     
     console.log('Starting model load:', modelId);
@@ -585,7 +724,7 @@ async function loadModelIfNeeded() {
         }, 500);
         
         // Load with timeout and detailed progress tracking
-        const loadPromise = pipeline('automatic-speech-recognition', modelId, {
+        const loadPromise = loadWorkerPipeline('automatic-speech-recognition', modelId, {
             progress_callback: (progress) => {
                 console.log('Progress callback received:', progress);
                 hasRealProgress = true; // We got real progress, stop simulation
@@ -708,92 +847,66 @@ async function loadModelIfNeeded() {
     }
 }
 
-async function blobToFloat32(blob) {
-    let audioCtx = null;
-    try {
-        const arrayBuffer = await blob.arrayBuffer();
-        audioCtx = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: 16000 });
-        state.audioContexts.push(audioCtx);
-        
-        console.log('AudioContext sample rate:', audioCtx.sampleRate);
-        
-        const decoded = await audioCtx.decodeAudioData(arrayBuffer);
-        console.log('Decoded audio - duration:', decoded.duration, 'sample rate:', decoded.sampleRate);
-        
-        const raw = decoded.getChannelData(0);
-        
-        // Resample to 16kHz if needed
-        if (decoded.sampleRate !== 16000) {
-            console.log('Resampling from', decoded.sampleRate, 'to 16000 Hz');
-            const offlineCtx = new OfflineAudioContext(1, Math.ceil(decoded.duration * 16000), 16000);
-            const source = offlineCtx.createBufferSource();
-            source.buffer = decoded;
-            source.connect(offlineCtx.destination);
-            source.start(0);
-            const resampled = await offlineCtx.startRendering();
-            return new Float32Array(resampled.getChannelData(0));
-        }
-        
-        return new Float32Array(raw);
-    } catch (err) {
-        console.error('Audio decode error:', err);
-        throw new Error('Failed to decode audio: ' + err.message);
-    } finally {
-        if (audioCtx) {
-            audioCtx.close().catch(err => console.warn('Failed to close AudioContext:', err));
-            state.audioContexts = state.audioContexts.filter(ctx => ctx !== audioCtx);
-        }
-    }
-}
-
-async function fileToFloat32(file) {
-    let audioCtx = null;
-    try {
-        const arrayBuffer = await file.arrayBuffer();
-        audioCtx = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: 16000 });
-        state.audioContexts.push(audioCtx);
-        
-        console.log('AudioContext sample rate:', audioCtx.sampleRate);
-        
-        const decoded = await audioCtx.decodeAudioData(arrayBuffer);
-        console.log('Decoded audio - duration:', decoded.duration, 'sample rate:', decoded.sampleRate, 'channels:', decoded.numberOfChannels);
-        
-        const raw = decoded.getChannelData(0);
-        
-        // Resample to 16kHz if needed
-        if (decoded.sampleRate !== 16000) {
-            console.log('Resampling from', decoded.sampleRate, 'to 16000 Hz');
-            const offlineCtx = new OfflineAudioContext(1, Math.ceil(decoded.duration * 16000), 16000);
-            const source = offlineCtx.createBufferSource();
-            source.buffer = decoded;
-            source.connect(offlineCtx.destination);
-            source.start(0);
-            const resampled = await offlineCtx.startRendering();
-            return new Float32Array(resampled.getChannelData(0));
-        }
-        
-        return new Float32Array(raw);
-    } catch (err) {
-        console.error('File decode error:', err);
-        throw new Error('Failed to decode audio file: ' + err.message);
-    } finally {
-        if (audioCtx) {
-            audioCtx.close().catch(err => console.warn('Failed to close AudioContext:', err));
-            state.audioContexts = state.audioContexts.filter(ctx => ctx !== audioCtx);
-        }
-    }
-}
-
 // ==================== AUDIOWORKLET VAD FOR SCREEN CAPTURE ====================
 
 // VAD Configuration
 const VAD_CONFIG = {
     sampleRate: 16000,
-    energyThreshold: 0.01,        // RMS energy threshold for speech
+    energyThreshold: 0.003,       // Absolute minimum RMS; adaptive thresholds sit above the noise floor
     silenceFramesNeeded: 25,      // ~0.8s of silence to end utterance
     speechFramesNeeded: 5,        // ~0.15s of speech to start utterance
-    maxUtteranceSeconds: 15       // Maximum utterance length before force-split
+    preRollFrames: 15,            // Frames kept from before speech started
+    postRollFrames: 10,           // Frames kept after silence starts
+    maxPreRollSize: 20,           // Pre-roll ring size (>= preRollFrames)
+    maxUtteranceSeconds: 12,      // Maximum utterance length before force-split (see MEMORY_OPTIMIZATION.md)
+    startThresholdRatio: 3.0,     // Speech starts at noise floor x this (~+9.5 dB)
+    stopThresholdRatio: 1.8,      // Speech ends below noise floor x this (~+5 dB)
+    calibrationSeconds: 1.0,      // Background measured at capture start
+    vadMode: 'multi',             // 'energy' = RMS only, 'multi' = energy + ZCR/spectral/periodicity
+    speechProbabilityThreshold: 0.5 // Multi mode: minimum speech probability
+};
+
+// VAD settings the user can tune; defaults come from VAD_CONFIG. Bounds mirror
+// VAD_SETTING_LIMITS in vad-processor.js (the worklet has the final say)
+const VAD_SETTING_LIMITS = {
+    energyThreshold: { min: 0.0001, max: 1 },
+    silenceFramesNeeded: { min: 1, max: 2000, integer: true },
+    speechFramesNeeded: { min: 1, max: 500, integer: true },
+    preRollFrames: { min: 0, max: 500, integer: true },
+    postRollFrames: { min: 0, max: 500, integer: true },
+    maxPreRollSize: { min: 1, max: 500, integer: true },
+    maxUtteranceSeconds: { min: 1, max: 30 },
+    startThresholdRatio: { min: 1, max: 50 },
+    stopThresholdRatio: { min: 1, max: 50 },
+    calibrationSeconds: { min: 0, max: 10 },
+    vadMode: { values: ['energy', 'multi'] },
+    speechProbabilityThreshold: { min: 0.05, max: 0.95 }
 };
+const VAD_SETTING_KEYS = Object.keys(VAD_SETTING_LIMITS);
+const VAD_FRAME_SECONDS = 128 / VAD_CONFIG.sampleRate; // Frame-count settings are 128-sample frames
+
+// Settings that constrain each other (checked by the worklet's configure() too)
+const VAD_SETTING_RULES = [
+    {
+        keys: ['preRollFrames', 'maxPreRollSize'],
+        valid: s => s.preRollFrames <= s.maxPreRollSize,
+        message: 'Pre-roll cannot be longer than the pre-roll buffer'
+    },
+    {
+        keys: ['stopThresholdRatio', 'startThresholdRatio'],
+        valid: s => s.stopThresholdRatio <= s.startThresholdRatio,
+        message: 'Stop ratio cannot be higher than start ratio'
+    },
+    {
+        keys: ['postRollFrames', 'maxUtteranceSeconds'],
+        valid: s => s.postRollFrames * VAD_FRAME_SECONDS < s.maxUtteranceSeconds,
+        message: 'Post-roll must be shorter than the max utterance length'
+    }
+];
+const VAD_SETTINGS_STORAGE_KEY = 'whisper.vadSettings';
+const PREPROCESS_SETTINGS_STORAGE_KEY = 'whisper.preprocessSettings'; // sessionStorage: per tab
+const MIC_DEVICE_STORAGE_KEY = 'whisper.micDeviceId';
+const DETECT_LANGUAGES_STORAGE_KEY = 'whisper.detectLanguages';
 
 // Live Transcription Configuration (separate mode)
 const LIVE_CONFIG = {
@@ -802,9 +915,361 @@ const LIVE_CONFIG = {
     overlapDuration: 2,             // 2s overlap for smooth merging
     maxConcurrentJobs: 1,           // Process one at a time
     cacheSize: 8,                   // Keep last 8 snapshots (~24s history)
-    minRMS: 0.008                   // Skip quiet audio
+    minRMS: 0.008,                  // Skip quiet audio
+    minLoudness: -60                // Skip near-silence instead when normalising (LUFS)
 };
 
+// Live capture meters (fed by the worklet's ~20 Hz telemetry)
+const TELEMETRY_CONFIG = {
+    minDb: -60,                     // Level meter floor (dBFS); 0 dBFS = full scale
+    silenceLevel: 0.0001,           // ~-80 dBFS: nothing is arriving at all
+    silenceWarningSeconds: 5,       // Warn once capture has been silent this long
+    speechColor: '#22c55e',
+    idleColor: '#21808d'
+};
+
+// Clamp a stored value into its VAD_SETTING_LIMITS range (null if unusable)
+function sanitizeVADSetting(key, value) {
+    const limits = VAD_SETTING_LIMITS[key];
+    if (limits.values) {
+        return limits.values.includes(value) ? value : null;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return null;
+    }
+    const clamped = Math.min(limits.max, Math.max(limits.min, value));
+    return limits.integer ? Math.round(clamped) : clamped;
+}
+
+// Load persisted VAD settings over the VAD_CONFIG defaults. Each value is
+// checked on its own, so one bad entry doesn't discard the rest
+function loadVADSettings() {
+    const settings = {};
+    VAD_SETTING_KEYS.forEach(key => { settings[key] = VAD_CONFIG[key]; });
+    
+    try {
+        const stored = JSON.parse(localStorage.getItem(VAD_SETTINGS_STORAGE_KEY) || '{}');
+        VAD_SETTING_KEYS.forEach(key => {
+            if (stored[key] === undefined) return;
+            const value = sanitizeVADSetting(key, stored[key]);
+            if (value === null) {
+                console.warn(`Ignoring stored VAD setting ${key}:`, stored[key]);
+            } else {
+                settings[key] = value;
+            }
+        });
+    } catch (err) {
+        console.warn('Ignoring unreadable VAD settings:', err);
+    }
+    
+    // Conflicting pairs fall back to their defaults
+    for (const rule of VAD_SETTING_RULES) {
+        if (!rule.valid(settings)) {
+            console.warn(`Ignoring stored ${rule.keys.join('/')}: ${rule.message}`);
+            rule.keys.forEach(key => { settings[key] = VAD_CONFIG[key]; });
+        }
+    }
+    
+    state.vadSettings = settings;
+    console.log('🎚️ VAD settings:', settings);
+}
+
+function saveVADSettings() {
+    try {
+        localStorage.setItem(VAD_SETTINGS_STORAGE_KEY, JSON.stringify(state.vadSettings));
+    } catch (err) {
+        console.warn('Failed to persist VAD settings:', err);
+    }
+}
+
+// Fill the settings panel inputs from state.vadSettings
+function renderVADSettings() {
+    document.querySelectorAll('[data-vad-setting]').forEach(input => {
+        input.value = state.vadSettings[input.dataset.vadSetting];
+    });
+}
+
+// Apply one edited setting: validate, persist, and push to a running worklet
+async function handleVADSettingChange(e) {
+    const input = e.target;
+    const key = input.dataset.vadSetting;
+    const value = typeof VAD_CONFIG[key] === 'number' ? Number(input.value) : input.value;
+    const previous = state.vadSettings[key];
+    
+    if (input.value === '' || !input.checkValidity()) {
+        showAlert(`Invalid value for ${input.title || key}`, 'warning');
+        input.value = previous;
+        return;
+    }
+    
+    const next = { ...state.vadSettings, [key]: value };
+    const broken = VAD_SETTING_RULES.find(rule => rule.keys.includes(key) && !rule.valid(next));
+    if (broken) {
+        showAlert(broken.message, 'warning');
+        input.value = previous;
+        return;
+    }
+    
+    // Live capture: the worklet has the final say on what it accepts
+    if (state.audioWorkletNode) {
+        try {
+            await configureAllVADs({ [key]: value }, { [key]: previous });
+        } catch (error) {
+            showAlert('VAD rejected setting: ' + error.message);
+            input.value = previous;
+            return;
+        }
+    }
+    
+    state.vadSettings = next;
+    saveVADSettings();
+    console.log(`🎚️ VAD setting ${key} = ${value}`);
+}
+
+async function resetVADSettings() {
+    const previous = state.vadSettings;
+    localStorage.removeItem(VAD_SETTINGS_STORAGE_KEY);
+    loadVADSettings();
+    renderVADSettings();
+    
+    if (state.audioWorkletNode) {
+        try {
+            await configureAllVADs({ ...state.vadSettings }, { ...previous });
+        } catch (error) {
+            // Keep what the worklets still run
+            state.vadSettings = previous;
+            saveVADSettings();
+            renderVADSettings();
+            showAlert('Failed to apply default VAD settings: ' + error.message);
+            return;
+        }
+    }
+    
+    showAlert('VAD settings reset to defaults', 'success');
+}
+
+// Load this tab's clean-up settings over PREPROCESS_DEFAULTS. Kept per
+// session: a fix for one quiet recording shouldn't stick for the next
+function loadPreprocessSettings() {
+    const settings = { ...PREPROCESS_DEFAULTS };
+    
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(PREPROCESS_SETTINGS_STORAGE_KEY) || '{}');
+        Object.keys(PREPROCESS_DEFAULTS).forEach(key => {
+            const value = stored[key];
+            if (typeof value === typeof PREPROCESS_DEFAULTS[key] && (typeof value !== 'number' || Number.isFinite(value))) {
+                settings[key] = value;
+            }
+        });
+    } catch (err) {
+        console.warn('Ignoring unreadable audio clean-up settings:', err);
+    }
+    
+    state.preprocessSettings = settings;
+    console.log('🎛️ Audio clean-up settings:', settings);
+}
+
+function savePreprocessSettings() {
+    try {
+        sessionStorage.setItem(PREPROCESS_SETTINGS_STORAGE_KEY, JSON.stringify(state.preprocessSettings));
+    } catch (err) {
+        console.warn('Failed to persist audio clean-up settings:', err);
+    }
+}
+
+function renderPreprocessSettings() {
+    document.querySelectorAll('[data-preprocess-setting]').forEach(input => {
+        const value = state.preprocessSettings[input.dataset.preprocessSetting];
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+    });
+}
+
+// Takes effect from the next utterance or snapshot
+function handlePreprocessSettingChange(e) {
+    const input = e.target;
+    const key = input.dataset.preprocessSetting;
+    
+    if (input.type !== 'checkbox' && (input.value === '' || !input.checkValidity())) {
+        showAlert(`Invalid value for ${input.title || key}`, 'warning');
+        input.value = state.preprocessSettings[key];
+        return;
+    }
+    
+    const value = input.type === 'checkbox' ? input.checked : Number(input.value);
+    state.preprocessSettings = { ...state.preprocessSettings, [key]: value };
+    savePreprocessSettings();
+    console.log(`🎛️ Audio clean-up ${key} = ${value}`);
+}
+
+function resetPreprocessSettings() {
+    sessionStorage.removeItem(PREPROCESS_SETTINGS_STORAGE_KEY);
+    loadPreprocessSettings();
+    renderPreprocessSettings();
+    showAlert('Audio clean-up reset to defaults', 'success');
+}
+
+// Languages auto-detection may choose from (a team's languages rarely change)
+function loadDetectLanguages() {
+    const known = LANGUAGES.map(language => language.code).filter(Boolean);
+    try {
+        const stored = JSON.parse(localStorage.getItem(DETECT_LANGUAGES_STORAGE_KEY) || '[]');
+        state.detectLanguages = Array.isArray(stored) ? stored.filter(code => known.includes(code)) : [];
+    } catch (err) {
+        console.warn('Ignoring unreadable auto-detect languages:', err);
+        state.detectLanguages = [];
+    }
+}
+
+function renderDetectLanguages() {
+    if (!els.detectLanguagesList) return;
+    
+    els.detectLanguagesList.innerHTML = LANGUAGES.filter(language => language.code).map(language => `
+        <label>
+            <input type="checkbox" value="${language.code}"${state.detectLanguages.includes(language.code) ? ' checked' : ''}>
+            ${escapeHtml(language.name)}
+        </label>
+    `).join('');
+}
+
+// Takes effect from the next utterance
+function handleDetectLanguagesChange() {
+    state.detectLanguages = Array.from(els.detectLanguagesList.querySelectorAll('input:checked'), input => input.value);
+    try {
+        localStorage.setItem(DETECT_LANGUAGES_STORAGE_KEY, JSON.stringify(state.detectLanguages));
+    } catch (err) {
+        console.warn('Failed to persist auto-detect languages:', err);
+    }
+    console.log('🌐 Auto-detect languages:', state.detectLanguages.length > 0 ? state.detectLanguages.join(', ') : 'any');
+}
+
+// Badge text and tooltip for an utterance's language
+function formatLanguageBadge(utt) {
+    const name = LANGUAGES.find(language => language.code === utt.language)?.name || utt.language;
+    const title = utt.languageProbability === null
+        ? `${name} (selected)`
+        : `${name} (detected, ${Math.round(utt.languageProbability * 100)}%)`;
+    return { text: utt.language.toUpperCase(), title };
+}
+
+// Re-measure the background level (e.g. after the room got noisier)
+async function recalibrateVAD() {
+    try {
+        await sendVADCommandToAll('calibrate');
+        updateNoiseFloorDisplay(null);
+        setStatus('🎚️ Calibrating noise floor...', true);
+    } catch (error) {
+        showAlert('Calibration failed: ' + error.message);
+    }
+}
+
+// Show the tracked noise floor in dBFS (null = measuring)
+function updateNoiseFloorDisplay(noiseFloor) {
+    if (!els.vadNoiseFloor) return;
+    els.vadNoiseFloor.textContent = noiseFloor === null
+        ? 'measuring…'
+        : `${(20 * Math.log10(noiseFloor)).toFixed(1)} dBFS`;
+}
+
+// Position of an RMS level on the meter's dBFS scale (0-100%)
+function levelToPercent(level) {
+    if (!(level > 0)) return 0;
+    const db = 20 * Math.log10(level);
+    return Math.max(0, Math.min(100, (1 - db / TELEMETRY_CONFIG.minDb) * 100));
+}
+
+// Clear the live meters and show them while capturing
+function resetVADTelemetry(visible) {
+    state.vadTelemetry = { columns: [], silentSince: null, warned: false };
+    if (!els.vadTelemetry) return;
+    
+    els.vadTelemetry.style.display = visible ? 'flex' : 'none';
+    els.vadLamp.className = 'vad-lamp';
+    els.vadStateText.textContent = 'Idle';
+    els.levelMeterFill.style.width = '0%';
+    els.levelMeterThreshold.style.left = '0%';
+    els.levelMeterText.textContent = '— dBFS';
+    drawVADWaveform();
+}
+
+// Update level meter, VAD lamp and waveform from a worklet telemetry message
+function renderVADTelemetry(data) {
+    const telemetry = state.vadTelemetry;
+    
+    // Nothing at all arriving usually means "Share audio" wasn't ticked
+    const silent = data.level < TELEMETRY_CONFIG.silenceLevel;
+    if (!silent) {
+        telemetry.silentSince = null;
+    } else if (telemetry.silentSince === null) {
+        telemetry.silentSince = Date.now();
+    }
+    const silentFor = silent ? (Date.now() - telemetry.silentSince) / 1000 : 0;
+    if (silentFor >= TELEMETRY_CONFIG.silenceWarningSeconds && !telemetry.warned) {
+        telemetry.warned = true;
+        const hint = state.captureSource === 'mic'
+            ? 'Check that the microphone is not muted, or pick another input.'
+            : 'If the shared tab is playing sound, restart capture and tick "Share audio".';
+        showAlert(`⚠️ No audio received for ${TELEMETRY_CONFIG.silenceWarningSeconds}s. ${hint}`, 'warning');
+    }
+    
+    telemetry.columns.push({ min: data.min, max: data.max, speaking: data.isSpeaking });
+    const maxColumns = els.vadWaveform ? els.vadWaveform.width : 0;
+    if (telemetry.columns.length > maxColumns) {
+        telemetry.columns.splice(0, telemetry.columns.length - maxColumns);
+    }
+    
+    if (!els.vadTelemetry) return;
+    
+    let lampState = 'listening';
+    let stateText = 'Listening';
+    if (data.calibrating) {
+        lampState = 'calibrating';
+        stateText = 'Calibrating…';
+    } else if (data.isSpeaking) {
+        lampState = 'speaking';
+        stateText = `Speech ${data.utteranceSeconds.toFixed(1)}s`;
+    } else if (silentFor >= 1) {
+        lampState = 'silent';
+        stateText = 'No audio';
+    }
+    els.vadLamp.className = `vad-lamp ${lampState}`;
+    els.vadLamp.title = data.speechProbability === null
+        ? 'Voice detection state (energy only)'
+        : `Speech probability ${(data.speechProbability * 100).toFixed(0)}%`;
+    els.vadStateText.textContent = stateText;
+    
+    els.levelMeterFill.style.width = `${levelToPercent(data.level).toFixed(1)}%`;
+    els.levelMeterThreshold.style.left = `${levelToPercent(data.threshold).toFixed(1)}%`;
+    els.levelMeterText.textContent = data.level > 0
+        ? `${(20 * Math.log10(data.level)).toFixed(0)} dBFS`
+        : '-∞ dBFS';
+    
+    drawVADWaveform();
+}
+
+// Scrolling min/max envelope, newest on the right, speech highlighted
+function drawVADWaveform() {
+    const canvas = els.vadWaveform;
+    if (!canvas) return;
+    
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const middle = height / 2;
+    ctx.clearRect(0, 0, width, height);
+    
+    const columns = state.vadTelemetry.columns;
+    const offset = width - columns.length;
+    columns.forEach((column, i) => {
+        const top = middle - Math.min(1, column.max) * middle;
+        const bottom = middle - Math.max(-1, column.min) * middle;
+        ctx.fillStyle = column.speaking ? TELEMETRY_CONFIG.speechColor : TELEMETRY_CONFIG.idleColor;
+        ctx.fillRect(offset + i, top, 1, Math.max(1, bottom - top));
+    });
+}
+
 // Remove duplicate sentences from transcript
 function removeDuplicateSentences(text) {
     const sentences = text.match(/[^.!?\n]+[.!?\n]*/g) || [text];
@@ -825,50 +1290,335 @@ function removeDuplicateSentences(text) {
     return unique.join(' ').trim();
 }
 
-// Create AudioWorklet processor as inline blob
+// Send a control command to the VAD worklet and wait for its reply
+// Resolves with the ack payload, rejects on an error reply or timeout
+// node: defaults to the main capture's worklet
+function sendVADCommand(type, payload = {}, node = state.audioWorkletNode) {
+    if (!node) {
+        return Promise.reject(new Error('Audio capture is not running'));
+    }
+    
+    const requestId = ++state.vadRequestId;
+    
+    return new Promise((resolve, reject) => {
+        const timeoutId = setTimeout(() => {
+            state.vadRequests.delete(requestId);
+            reject(new Error(`VAD command timed out: ${type}`));
+        }, VAD_COMMAND_TIMEOUT);
+        
+        state.vadRequests.set(requestId, { resolve, reject, timeoutId });
+        node.port.postMessage({ type, requestId, ...payload });
+    });
+}
+
+// Calibration applies to every running worklet (dual capture has two);
+// settings go through configureAllVADs
+function sendVADCommandToAll(type, payload = {}) {
+    const nodes = [state.audioWorkletNode, state.localWorkletNode].filter(Boolean);
+    if (nodes.length === 0) {
+        return Promise.reject(new Error('Audio capture is not running'));
+    }
+    return Promise.all(nodes.map(node => sendVADCommand(type, payload, node)));
+}
+
+// Configure every running worklet, or none: when one rejects the settings,
+// the ones that accepted go back to `previous` so dual capture stays in step
+async function configureAllVADs(config, previous) {
+    const nodes = [state.audioWorkletNode, state.localWorkletNode].filter(Boolean);
+    const results = await Promise.allSettled(nodes.map(node => sendVADCommand('configure', { config }, node)));
+    const failure = results.find(result => result.status === 'rejected');
+    if (!failure) return;
+    
+    await Promise.all(nodes
+        .filter((node, i) => results[i].status === 'fulfilled')
+        .map(node => sendVADCommand('configure', { config: previous }, node)
+            .catch(err => console.warn('Failed to restore VAD settings:', err))));
+    throw failure.reason;
+}
+
+// Settle the pending command that a worklet reply belongs to
+function handleVADReply(data) {
+    const pending = state.vadRequests.get(data.requestId);
+    if (!pending) {
+        console.warn('Unexpected VAD reply:', data);
+        return;
+    }
+    
+    clearTimeout(pending.timeoutId);
+    state.vadRequests.delete(data.requestId);
+    
+    if (data.type === 'error') {
+        pending.reject(new Error(data.message));
+    } else {
+        pending.resolve(data);
+    }
+}
+
+// Fail all outstanding commands (worklet is going away)
+function rejectPendingVADCommands(reason) {
+    for (const pending of state.vadRequests.values()) {
+        clearTimeout(pending.timeoutId);
+        pending.reject(new Error(reason));
+    }
+    state.vadRequests.clear();
+}
+
+// Report how close the audio thread came to missing its deadlines
+async function logVADPerformance() {
+    try {
+        const { stats } = await sendVADCommand('get_state');
+        const seconds = stats.quanta * stats.budgetMs / 1000;
+        console.log(`⏱️ VAD audio thread: ${stats.overruns} overruns in ${seconds.toFixed(0)}s, ` +
+            `avg ${stats.averageProcessMs.toFixed(3)}ms, max ${stats.maxProcessMs.toFixed(2)}ms ` +
+            `(budget ${stats.budgetMs.toFixed(2)}ms per quantum)`);
+    } catch (err) {
+        console.warn('Could not read VAD stats:', err.message);
+    }
+}
+
 // Handle VAD events from AudioWorklet
-async function handleVADEvent(event) {
-    const { type, audio, timestamp, duration, features } = event.data;
+// origin: 'local' = the microphone worklet of a dual capture
+async function handleVADEvent(event, origin = 'main') {
+    const { type, audio, timestamp, duration, features, noiseFloor } = event.data;
+    
+    // Meters and status follow the main source; the microphone only adds "Me" utterances
+    if (origin === 'local') {
+        if (type === 'speech_end') {
+            console.log(`🙋 Local speech ended: ${duration}s`);
+            await transcribeUtteranceWithDiarization(audio, timestamp, features, event.data.sampleRate, event.data.overlap, LOCAL_TRACK);
+        }
+        return;
+    }
+    
+    if (type === 'telemetry') {
+        renderVADTelemetry(event.data);
+        return;
+    }
     
-    if (type === 'speech_start') {
-        console.log(`🗣️ Speech started at ${timestamp?.toFixed(2)}s`);
+    if (type === 'calibration_complete') {
+        console.log(`🎚️ Noise floor calibrated: ${noiseFloor.toFixed(5)} (start ${event.data.startThreshold.toFixed(4)}, stop ${event.data.stopThreshold.toFixed(4)})`);
+        updateNoiseFloorDisplay(noiseFloor);
+        setStatus('👂 Listening...', true);
+        
+    } else if (type === 'speech_start') {
+        console.log(`🗣️ Speech started at ${timestamp?.toFixed(2)}s (threshold ${event.data.threshold?.toFixed(4)})`);
+        updateNoiseFloorDisplay(noiseFloor);
         state.isSpeaking = true;
         state.speechStartTime = Date.now();
         setStatus('🎤 Speaking...', true);
         
+    } else if (type === 'speech_discarded') {
+        console.log(`🚮 Discarded non-speech (${duration}s, speech probability ${event.data.speechProbability.toFixed(2)})`);
+        state.isSpeaking = false;
+        setStatus('👂 Listening...', true);
+        
     } else if (type === 'speech_end') {
         console.log(`🔇 Speech ended: ${duration}s, features:`, features);
+        if (event.data.overlap?.regions.length > 0) {
+            console.log(`🔀 Crosstalk in ${(event.data.overlap.ratio * 100).toFixed(0)}% of the utterance:`, event.data.overlap.regions);
+        }
         state.isSpeaking = false;
+        updateNoiseFloorDisplay(noiseFloor);
         setStatus('⚙️ Transcribing with timestamps...', true);
         
         // Transcribe with diarization
-        await transcribeUtteranceWithDiarization(audio, timestamp, features);
+        await transcribeUtteranceWithDiarization(audio, timestamp, features, event.data.sampleRate, event.data.overlap);
         
         setStatus('👂 Listening...', true);
     }
 }
 
-// Transcribe a single utterance (speech segment)
-// Transcribe with speaker diarization
-async function transcribeUtteranceWithDiarization(audioFloat32, startTime, features) {
-    if (state.isTranscribing) {
-        console.log('⏭️ Already transcribing, queuing...');
-        return;
+// Utterances wait here while Whisper is busy: one is transcribed at a time,
+// in arrival order. Falling behind escalates: warn, merge neighbours (Whisper
+// pads every call to a 30s window, so fewer longer calls catch up faster),
+// hand the backlog to Tiny, and past maxSeconds drop the oldest audio
+const UTTERANCE_QUEUE_CONFIG = {
+    warnDepth: 3,                   // Queued utterances before the backlog warning
+    mergeSeconds: 15,               // Queued audio above which same-source neighbours merge
+    maxMergedSeconds: 28,           // ...into at most one Whisper window
+    maxMergeGapSeconds: 2,          // Silence between them (kept, so timestamps stay exact)
+    downgradeSeconds: 45,           // Queued audio above which Tiny takes over until caught up
+    maxSeconds: 300                 // Memory bound (~19MB at 16 kHz)
+};
+
+// Queue an utterance for transcription with speaker diarization
+// Resolves once it has been transcribed (or skipped), so awaiting callers
+// keep their order; live capture doesn't wait and relies on the queue
+// track: known-speaker source (LOCAL_TRACK, channelTrack()) instead of clustering
+// signal: aborting drops the utterance (also while Whisper is running it);
+// defaults to the Cancel button's
+function transcribeUtteranceWithDiarization(audioFloat32, startTime, features, sampleRate = VAD_CONFIG.sampleRate, overlap = null, track = null, signal = state.transcriptionAbort.signal) {
+    return new Promise(resolve => {
+        enqueueUtterance({
+            audio: audioFloat32,
+            startTime,
+            duration: audioFloat32.length / sampleRate,
+            features,
+            sampleRate,
+            overlap,
+            track,
+            signal,
+            waiters: [resolve]
+        });
+        drainUtteranceQueue();
+    });
+}
+
+// Seconds of audio waiting (not counting the utterance being transcribed)
+function queuedUtteranceSeconds() {
+    return state.utteranceQueue.reduce((sum, job) => sum + job.duration, 0);
+}
+
+// Add a job to the queue, applying the overload policy
+function enqueueUtterance(job) {
+    const queue = state.utteranceQueue;
+    const config = UTTERANCE_QUEUE_CONFIG;
+    const tail = queue[queue.length - 1];
+    
+    if (tail && queuedUtteranceSeconds() >= config.mergeSeconds && canMergeUtterances(tail, job)) {
+        mergeUtterances(tail, job);
+        console.log(`🔗 Merged queued utterances (${tail.duration.toFixed(1)}s)`);
+    } else {
+        queue.push(job);
     }
     
-    try {
-        state.isTranscribing = true;
+    let queuedSeconds = queuedUtteranceSeconds();
+    while (queuedSeconds > config.maxSeconds && queue.length > 1) {
+        const dropped = queue.shift();
+        queuedSeconds -= dropped.duration;
+        dropped.waiters.forEach(resolve => resolve());
+        console.error(`🚮 Utterance queue full: dropped ${dropped.duration.toFixed(1)}s at ${formatTimestamp(dropped.startTime)}`);
+        showAlert(`⚠️ Transcription fell ${Math.round(queuedSeconds)}s behind: dropped ${dropped.duration.toFixed(1)}s of speech at ${formatTimestamp(dropped.startTime)}`, 'error');
+    }
+    
+    const tiny = state.loadedModels['Xenova/whisper-tiny'];
+    if (queuedSeconds >= config.downgradeSeconds && !state.utteranceQueueDowngraded && tiny && state.transcriber !== tiny) {
+        state.utteranceQueueDowngraded = true;
+        console.warn(`🐢 ${Math.round(queuedSeconds)}s queued: switching to Tiny until caught up`);
+        showAlert('⚠️ Transcription is falling behind: using the Tiny model until it catches up', 'warning');
+    } else if (queue.length >= config.warnDepth && !state.utteranceQueueWarned) {
+        state.utteranceQueueWarned = true;
+        console.warn(`🐢 ${queue.length} utterances queued (${Math.round(queuedSeconds)}s)`);
+        showAlert(`⚠️ ${queue.length} utterances waiting for transcription; they will be added in order`, 'warning');
+    }
+    
+    renderUtteranceQueue();
+}
+
+// Neighbours from the same source, close enough to share one Whisper window.
+// Without a track (tab capture) the source may be several people: only
+// neighbours that sound like the same speaker merge
+function canMergeUtterances(first, next) {
+    const gap = next.startTime - (first.startTime + first.duration);
+    const sameSource = first.track || next.track
+        ? first.track?.key === next.track?.key
+        : calculateFeatureDistance(normalizeFeatures(first.features), normalizeFeatures(next.features)) < SPEAKER_MATCH_THRESHOLD;
+    return sameSource &&
+        first.signal === next.signal &&
+        first.sampleRate === next.sampleRate &&
+        gap >= 0 && gap <= UTTERANCE_QUEUE_CONFIG.maxMergeGapSeconds &&
+        next.startTime + next.duration - first.startTime <= UTTERANCE_QUEUE_CONFIG.maxMergedSeconds;
+}
+
+// Append next to first with the real gap as silence, so word timestamps stay
+// right; the merged utterance keeps the longer part's features (one speaker)
+function mergeUtterances(first, next) {
+    const offset = next.startTime - first.startTime;
+    const gapSamples = Math.round((offset - first.duration) * first.sampleRate);
+    const audio = new Float32Array(first.audio.length + gapSamples + next.audio.length);
+    audio.set(first.audio);
+    audio.set(next.audio, first.audio.length + gapSamples);
+    
+    const duration = audio.length / first.sampleRate;
+    const features = next.duration > first.duration ? next.features : first.features;
+    
+    // Crosstalk ratio over the merged length, whichever part had it
+    let overlap = null;
+    if (first.overlap?.regions.length > 0 || next.overlap?.regions.length > 0) {
+        const regions = (next.overlap?.regions || []).map(region => ({ ...region, start: region.start + offset, end: region.end + offset }));
+        overlap = {
+            regions: [...(first.overlap?.regions || []), ...regions],
+            ratio: ((first.overlap?.ratio || 0) * first.duration + (next.overlap?.ratio || 0) * next.duration) / duration
+        };
+    }
+    
+    Object.assign(first, {
+        audio,
+        duration,
+        features: { ...features, duration },
+        overlap,
+        waiters: [...first.waiters, ...next.waiters]
+    });
+}
+
+// Transcribe queued utterances until the queue is empty
+async function drainUtteranceQueue() {
+    if (state.isTranscribing) return;
+    state.isTranscribing = true;
+    renderCancelButton();
+    
+    while (state.utteranceQueue.length > 0) {
+        const job = state.utteranceQueue.shift();
+        renderUtteranceQueue();
+        if (job.signal.aborted) {
+            job.waiters.forEach(resolve => resolve());
+            continue;
+        }
         
-        console.log(`📊 Transcribing ${audioFloat32.length} samples...`);
+        // Overload: the backlog goes to Tiny until the queue is empty again
+        const transcriber = state.utteranceQueueDowngraded
+            ? state.loadedModels['Xenova/whisper-tiny'] || state.transcriber
+            : state.transcriber;
         
-        // Transcribe with WORD-LEVEL timestamps
-        const language = els.languageSelect ? els.languageSelect.value : null;
-        const options = {
-            chunk_length_s: 30,
-            stride_length_s: 5,
-            return_timestamps: 'word',  // KEY: Word-level timestamps!
-            condition_on_previous_text: false,  // Prevent hallucination feedback loops
-            
+        await transcribeQueuedUtterance(job, transcriber);
+        job.waiters.forEach(resolve => resolve());
+    }
+    
+    state.isTranscribing = false;
+    if (state.utteranceQueueDowngraded) {
+        console.log('✅ Utterance queue caught up, back to the selected model');
+    }
+    state.utteranceQueueDowngraded = false;
+    state.utteranceQueueWarned = false;
+    renderUtteranceQueue();
+    renderCancelButton();
+    state.utteranceQueueIdle.splice(0).forEach(resolve => resolve());
+}
+
+// Resolves once every queued utterance has been transcribed
+function waitForUtteranceQueue() {
+    if (!state.isTranscribing) return Promise.resolve();
+    return new Promise(resolve => state.utteranceQueueIdle.push(resolve));
+}
+
+// Queue depth next to the live meters
+function renderUtteranceQueue() {
+    if (!els.utteranceQueueText) return;
+    
+    const depth = state.utteranceQueue.length;
+    els.utteranceQueueText.style.display = depth > 0 ? '' : 'none';
+    els.utteranceQueueText.textContent = `${depth} queued (${Math.round(queuedUtteranceSeconds())}s)` +
+        (state.utteranceQueueDowngraded ? ' · Tiny' : '');
+    els.utteranceQueueText.classList.toggle('backlog', depth >= UTTERANCE_QUEUE_CONFIG.warnDepth);
+}
+
+// Transcribe one queued utterance and append it to state.utterances
+async function transcribeQueuedUtterance(job, transcriber) {
+    const { audio: audioFloat32, startTime, features, sampleRate, overlap, track, signal } = job;
+    
+    try {
+        console.log(`📊 Transcribing ${audioFloat32.length} samples...`);
+        
+        // Transcribe with WORD-LEVEL timestamps
+        const language = els.languageSelect ? els.languageSelect.value : null;
+        const taskMode = getTaskMode();
+        const options = {
+            task: taskMode === TASK_MODES.translate ? 'translate' : 'transcribe',
+            chunk_length_s: 30,
+            stride_length_s: 5,
+            return_timestamps: 'word',  // KEY: Word-level timestamps!
+            condition_on_previous_text: false,  // Prevent hallucination feedback loops
+            
             // BALANCED: Light anti-hallucination (not too strict)
             compression_ratio_threshold: 2.8,   // Only block extreme repetition (was 2.4)
             no_speech_threshold: 0.7            // Only skip very quiet audio (was 0.6)
@@ -878,13 +1628,36 @@ async function transcribeUtteranceWithDiarization(audioFloat32, startTime, featu
             options.language = language;
         }
         
-        const result = await state.transcriber(audioFloat32, options);
+        // Clean-up before Whisper (see audio-preprocess.js); features stay from the raw audio
+        const prepared = preprocessAudio(audioFloat32, sampleRate, state.preprocessSettings);
+        if (prepared.steps.length > 0) {
+            console.log(`🎛️ ${prepared.steps.join(' + ')}: ${prepared.loudness.toFixed(1)} LUFS, ` +
+                `${prepared.gainDb >= 0 ? '+' : ''}${prepared.gainDb.toFixed(1)} dB`);
+        }
+        
+        // Auto-detect: Whisper's language ID per utterance (limited to the
+        // chosen languages), then transcribe in it, so bilingual meetings switch
+        let detected = null;
+        if (!language) {
+            try {
+                detected = await transcriber.detectLanguage(prepared.samples, { languages: state.detectLanguages, signal });
+                options.language = detected.language;
+                console.log(`🌐 Detected ${detected.language} (${(detected.probability * 100).toFixed(0)}%)`);
+            } catch (err) {
+                if (signal.aborted) throw err;
+                console.warn('⚠️ Language detection failed, leaving it to Whisper:', err.message);
+            }
+        }
+        
+        const result = await transcriber(prepared.samples, { ...options, signal });
         
         console.log('Whisper output:', result);
         
-        // Extract text and chunks (word timestamps)
+        // Extract text and chunks (word timestamps, shifted back past any trimmed lead-in)
         const text = result.text?.trim() || '';
-        const chunks = result.chunks || [];
+        const chunks = (result.chunks || []).map(chunk => prepared.offset > 0 && Array.isArray(chunk.timestamp)
+            ? { ...chunk, timestamp: chunk.timestamp.map(t => t === null ? null : t + prepared.offset) }
+            : chunk);
         
         if (!text || text.length === 0) {
             console.log('⏭️ Empty transcription, skipping');
@@ -898,20 +1671,36 @@ async function transcribeUtteranceWithDiarization(audioFloat32, startTime, featu
             return;
         }
         
+        // Both: a second, text-only pass in English (unless the audio is English)
+        let translation = null;
+        if (taskMode === TASK_MODES.both && options.language !== 'en') {
+            const translated = await transcriber(prepared.samples, { ...options, task: 'translate', return_timestamps: false, signal });
+            translation = translated.text?.trim() || null;
+        }
+        
         // Identify speaker
-        const speakerId = identifySpeaker(features);
+        const overlapRatio = overlap?.ratio || 0;
+        const speakerId = track ? getTrackSpeakerId(track, features) : identifySpeaker(features, overlapRatio);
         const speaker = state.speakers[speakerId];
         
         // Store utterance
+        const duration = audioFloat32.length / sampleRate;
         const utterance = {
             id: state.utterances.length,
             text: text,
             speaker: speaker,
             speakerId: speakerId,
             timestamp: startTime,
-            duration: audioFloat32.length / VAD_CONFIG.sampleRate,
+            duration: duration,
             features: features,
-            chunks: chunks  // Word-level timestamps
+            chunks: chunks,  // Word-level timestamps
+            segments: buildSegments(chunks, text, duration),  // Sentence-level, same shape as chunks
+            overlap: overlap?.regions.length > 0 ? overlap : null,  // Crosstalk regions (seconds from utterance start)
+            crosstalk: overlapRatio >= CROSSTALK_RATIO,
+            task: options.task,  // 'translate': text is already English
+            language: options.language || null,  // Spoken language code (null: left to Whisper)
+            languageProbability: detected ? detected.probability : null,  // Detection confidence, null = selected
+            translation: translation  // English next to the original (TASK_MODES.both)
         };
         
         state.utterances.push(utterance);
@@ -924,13 +1713,15 @@ async function transcribeUtteranceWithDiarization(audioFloat32, startTime, featu
         els.downloadBtn.disabled = false;
         els.saveMeetingBtn.disabled = false;
         
-        console.log(`✅ Speaker ${speakerId + 1}: "${text}"`);
+        console.log(`✅ ${speaker.name}: "${text}"`);
         
     } catch (error) {
+        if (signal.aborted) {
+            console.log(`⏹️ Utterance at ${formatTimestamp(startTime)} cancelled`);
+            return;
+        }
         console.error('❌ Transcription error:', error);
         showAlert(`Transcription failed: ${error.message}`);
-    } finally {
-        state.isTranscribing = false;
     }
 }
 
@@ -939,14 +1730,14 @@ function normalizeFeatures(features) {
     // Clamp pitch to reasonable human range (80-400 Hz)
     const pitch = Math.max(80, Math.min(400, features.pitch || 150));
     
-    // Clamp formant
+    // Clamp formant (legacy peak-spacing proxy from older saved meetings)
     const formant = Math.max(0, Math.min(100, features.formant || 0));
     
     // Energy already normalized by RMS
     const energy = Math.max(0, Math.min(1, features.energy || 0));
     
     // Spectral bands already normalized to sum to 1
-    return {
+    const normalized = {
         pitch,
         formant,
         energy,
@@ -957,10 +1748,123 @@ function normalizeFeatures(features) {
         energyVariance: features.energyVariance || 0,
         duration: features.duration || 0
     };
+    
+    // FFT-based features (absent on speakers saved before they existed)
+    if (Array.isArray(features.mfcc) && features.mfcc.length > 0) {
+        normalized.mfcc = [...features.mfcc];
+        normalized.mfccStd = [...(features.mfccStd || features.mfcc.map(() => 1))];
+        normalized.mfccDelta = [...(features.mfccDelta || features.mfcc.map(() => 0))];
+    }
+    if (Array.isArray(features.formants)) {
+        // F1 200-1200 Hz, F2 500-3000 Hz, F3 1500-4000 Hz; 0 = not found
+        const ranges = [[200, 1200], [500, 3000], [1500, 4000]];
+        normalized.formants = ranges.map(([min, max], i) => {
+            const value = features.formants[i] || 0;
+            return value ? Math.max(min, Math.min(max, value)) : 0;
+        });
+    }
+    if (features.spectralCentroid) {
+        normalized.spectralCentroid = Math.max(0, Math.min(8000, features.spectralCentroid));
+    }
+    
+    return normalized;
+}
+
+// Blend a new observation into a speaker profile (exponential moving average)
+function blendFeatureVector(profile, observed, alpha) {
+    if (!observed) return profile;
+    if (!profile || profile.length !== observed.length) return [...observed];
+    
+    return profile.map((value, i) => {
+        // Missing formants (0) shouldn't drag the profile toward zero
+        if (!observed[i]) return value;
+        if (!value) return observed[i];
+        return (1 - alpha) * value + alpha * observed[i];
+    });
+}
+
+// Speaker tracks: sources that are one known speaker each
+const LOCAL_TRACK = { key: 'local', name: 'Me', emoji: '🙋' };  // Dual capture microphone
+
+// Separate channel of a file, transcribed as its own speaker
+function channelTrack(channel, label) {
+    return { key: `channel-${channel}`, name: label, emoji: '🎧' };
+}
+
+// Utterances from a speaker track skip clustering: one speaker per track,
+// created on first use
+function getTrackSpeakerId(track, rawFeatures) {
+    const features = normalizeFeatures(rawFeatures);
+    const existing = state.speakers.findIndex(speaker => speaker.track === track.key);
+    if (existing !== -1) {
+        state.speakers[existing].utteranceCount++;
+        state.speakers[existing].totalDuration += features.duration || 0;
+        return existing;
+    }
+    
+    const id = state.speakers.length;
+    state.speakers.push({
+        id,
+        name: track.name,
+        emoji: track.emoji,
+        color: state.speakerColors[id % state.speakerColors.length],
+        features: {...features},
+        utteranceCount: 1,
+        totalDuration: features.duration || 0,
+        track: track.key
+    });
+    console.log(`🆕 Track speaker created: ${track.name}`);
+    return id;
+}
+
+// Utterances with at least this much overlapped speech are assigned but never
+// learned from: their features are a mix of two voices
+const CROSSTALK_RATIO = 0.25;
+
+// Feature distance under which an utterance can belong to a known speaker
+// (identifySpeaker raises it slightly as speakers are added)
+const SPEAKER_MATCH_THRESHOLD = 0.35;
+
+// Segments (sentence-like subtitle cues) within an utterance
+const SEGMENT_PAUSE_SECONDS = 0.8;  // A pause this long between words starts a new segment
+const SEGMENT_MAX_SECONDS = 7;      // Longer runs of words are split
+
+// Group word timestamps into segments ending at . ? ! or a pause. Same
+// { text, timestamp: [start, end] } shape as the words, in seconds from the
+// utterance start. Without word timestamps the utterance is one segment
+function buildSegments(words, text, duration) {
+    const timed = words.filter(word => Array.isArray(word.timestamp));
+    if (timed.length === 0) {
+        return [{ text, timestamp: [0, duration] }];
+    }
+    
+    const segments = [];
+    let current = null;
+    for (const word of timed) {
+        const start = word.timestamp[0];
+        const end = word.timestamp[1] ?? duration; // Whisper may leave the last word open
+        if (current && (start - current.timestamp[1] >= SEGMENT_PAUSE_SECONDS ||
+            end - current.timestamp[0] > SEGMENT_MAX_SECONDS)) {
+            segments.push(current);
+            current = null;
+        }
+        
+        current = current || { text: '', timestamp: [start, end] };
+        current.text += word.text;
+        current.timestamp[1] = end;
+        if (/[.?!…]["')\]]?$/.test(word.text.trim())) {
+            segments.push(current);
+            current = null;
+        }
+    }
+    if (current) segments.push(current);
+    
+    return segments.map(segment => ({ ...segment, text: segment.text.trim() }));
 }
 
 // Speaker identification using advanced feature clustering
-function identifySpeaker(rawFeatures) {
+// overlapRatio: fraction of the utterance the VAD flagged as crosstalk
+function identifySpeaker(rawFeatures, overlapRatio = 0) {
     // Normalize features to reduce noise
     const features = normalizeFeatures(rawFeatures);
     
@@ -972,37 +1876,46 @@ function identifySpeaker(rawFeatures) {
         lowBand: features.lowBand?.toFixed(3),
         midBand: features.midBand?.toFixed(3),
         highBand: features.highBand?.toFixed(3),
-        pitchVariance: features.pitchVariance?.toFixed(1)
+        pitchVariance: features.pitchVariance?.toFixed(1),
+        formants: features.formants?.map(f => f.toFixed(0)).join('/'),
+        mfcc: features.mfcc?.slice(1, 5).map(c => c.toFixed(1)).join(', ')
     });
     
-    if (state.speakers.length === 0) {
+    const crosstalk = overlapRatio >= CROSSTALK_RATIO;
+    
+    // Track speakers ("Me", file channels) are never clustering candidates
+    const remoteCount = state.speakers.filter(speaker => !speaker.track).length;
+    
+    if (remoteCount === 0) {
         // First speaker
+        const id = state.speakers.length;
         state.speakers.push({
-            id: 0,
+            id,
             name: 'Speaker 1',
             emoji: '👤',
-            color: state.speakerColors[0],
+            color: state.speakerColors[id % state.speakerColors.length],
             features: {...features},
             utteranceCount: 1,
             totalDuration: features.duration || 0
         });
         console.log('🆕 First speaker created: Speaker 1');
-        return 0;
+        return id;
     }
     
     // Calculate distances to all existing speakers
-    const distances = state.speakers.map((speaker, idx) => ({
-        id: idx,
-        distance: calculateFeatureDistance(features, speaker.features)
-    }));
+    const distances = state.speakers
+        .map((speaker, idx) => ({
+            id: idx,
+            distance: speaker.track ? Infinity : calculateFeatureDistance(features, speaker.features)
+        }))
+        .filter(candidate => candidate.distance !== Infinity);
     
     distances.sort((a, b) => a.distance - b.distance);
     const closest = distances[0];
     const secondClosest = distances[1];
     
     // More conservative threshold to prevent over-segmentation
-    const baseThreshold = 0.35;  // Increased from 0.20
-    const adaptiveThreshold = baseThreshold * (1 + state.speakers.length * 0.03);  // Reduced multiplier
+    const adaptiveThreshold = SPEAKER_MATCH_THRESHOLD * (1 + remoteCount * 0.03);  // Reduced multiplier
     
     // Require significant separation from second-closest speaker
     const separationRatio = secondClosest ? (secondClosest.distance / closest.distance) : 2.0;
@@ -1013,6 +1926,14 @@ function identifySpeaker(rawFeatures) {
         console.log(`   Second: Speaker ${secondClosest.id + 1} (distance: ${secondClosest.distance.toFixed(3)}, separation: ${separationRatio.toFixed(2)}x)`);
     }
     
+    if (crosstalk) {
+        // Mixed voices: don't spawn a phantom speaker or drift a real one
+        state.speakers[closest.id].utteranceCount++;
+        state.speakers[closest.id].totalDuration += features.duration || 0;
+        console.log(`🔀 Crosstalk (${(overlapRatio * 100).toFixed(0)}%), assigned to Speaker ${closest.id + 1} without updating its profile`);
+        return closest.id;
+    }
+    
     if (closest.distance < adaptiveThreshold && !requiresClearSeparation) {
         // Assign to existing speaker with confidence-weighted update
         const speaker = state.speakers[closest.id];
@@ -1020,8 +1941,9 @@ function identifySpeaker(rawFeatures) {
         speaker.totalDuration += features.duration || 0;
         
         // Exponential moving average with adaptive learning rate
+        // Partly overlapped audio moves the profile proportionally less
         const confidence = 1 / (1 + closest.distance);
-        const alpha = 0.15 * confidence;
+        const alpha = 0.15 * confidence * (1 - overlapRatio);
         
         // Update all features
         speaker.features.pitch = (1 - alpha) * speaker.features.pitch + alpha * features.pitch;
@@ -1031,12 +1953,21 @@ function identifySpeaker(rawFeatures) {
         speaker.features.midBand = (1 - alpha) * (speaker.features.midBand || 0) + alpha * (features.midBand || 0);
         speaker.features.highBand = (1 - alpha) * (speaker.features.highBand || 0) + alpha * (features.highBand || 0);
         speaker.features.pitchVariance = (1 - alpha) * (speaker.features.pitchVariance || 0) + alpha * (features.pitchVariance || 0);
+        speaker.features.mfcc = blendFeatureVector(speaker.features.mfcc, features.mfcc, alpha);
+        speaker.features.mfccStd = blendFeatureVector(speaker.features.mfccStd, features.mfccStd, alpha);
+        speaker.features.mfccDelta = blendFeatureVector(speaker.features.mfccDelta, features.mfccDelta, alpha);
+        speaker.features.formants = blendFeatureVector(speaker.features.formants, features.formants, alpha);
+        if (features.spectralCentroid) {
+            speaker.features.spectralCentroid = speaker.features.spectralCentroid
+                ? (1 - alpha) * speaker.features.spectralCentroid + alpha * features.spectralCentroid
+                : features.spectralCentroid;
+        }
         
         console.log(`✅ Assigned to Speaker ${closest.id + 1} (confidence: ${(confidence * 100).toFixed(1)}%)`);
         return closest.id;
     } else {
         // Create new speaker
-        if (state.speakers.length >= 8) {
+        if (remoteCount >= 8) {
             console.warn('⚠️ Max speakers (8) reached, assigning to closest');
             return closest.id;
         }
@@ -1046,14 +1977,14 @@ function identifySpeaker(rawFeatures) {
         
         state.speakers.push({
             id: newId,
-            name: `Speaker ${newId + 1}`,
-            emoji: avatarEmojis[newId % avatarEmojis.length],
+            name: `Speaker ${remoteCount + 1}`,
+            emoji: avatarEmojis[remoteCount % avatarEmojis.length],
             color: state.speakerColors[newId % state.speakerColors.length],
             features: {...features},
             utteranceCount: 1,
             totalDuration: features.duration || 0
         });
-        console.log(`🆕 New speaker detected: Speaker ${newId + 1}`);
+        console.log(`🆕 New speaker detected: Speaker ${remoteCount + 1}`);
         return newId;
     }
 }
@@ -1061,42 +1992,75 @@ function identifySpeaker(rawFeatures) {
 function calculateFeatureDistance(f1, f2) {
     // Weighted multi-dimensional distance for better speaker separation
     const weights = {
+        mfcc: 3.0,           // Vocal tract shape - separates similar-pitched voices
         pitch: 2.0,          // Most important for speaker ID
         formant: 1.8,        // Vowel characteristics
         midBand: 1.5,        // Timbre
         lowBand: 1.2,
         highBand: 1.0,
+        centroid: 0.8,       // Brightness
+        mfccDelta: 0.6,      // Speaking dynamics
         energy: 0.5,         // Less important (volume varies)
         pitchVariance: 0.8
     };
     
     // Normalize and calculate weighted differences
-    const pitchDiff = Math.abs(f1.pitch - f2.pitch) / 200;  // ~200 Hz range
-    const formantDiff = Math.abs((f1.formant || 0) - (f2.formant || 0)) / 50;
-    const lowDiff = Math.abs((f1.lowBand || 0) - (f2.lowBand || 0));
-    const midDiff = Math.abs((f1.midBand || 0) - (f2.midBand || 0));
-    const highDiff = Math.abs((f1.highBand || 0) - (f2.highBand || 0));
-    const energyDiff = Math.abs(f1.energy - f2.energy) / 0.1;
-    const varianceDiff = Math.abs((f1.pitchVariance || 0) - (f2.pitchVariance || 0)) / 100;
-    
-    const distance = Math.sqrt(
-        weights.pitch * pitchDiff * pitchDiff +
-        weights.formant * formantDiff * formantDiff +
-        weights.lowBand * lowDiff * lowDiff +
-        weights.midBand * midDiff * midDiff +
-        weights.highBand * highDiff * highDiff +
-        weights.energy * energyDiff * energyDiff +
-        weights.pitchVariance * varianceDiff * varianceDiff
-    );
+    // Terms one side lacks (e.g. speakers from older saved meetings) are skipped
+    const diffs = {
+        pitch: Math.abs(f1.pitch - f2.pitch) / 200,  // ~200 Hz range
+        lowBand: Math.abs((f1.lowBand || 0) - (f2.lowBand || 0)),
+        midBand: Math.abs((f1.midBand || 0) - (f2.midBand || 0)),
+        highBand: Math.abs((f1.highBand || 0) - (f2.highBand || 0)),
+        energy: Math.abs(f1.energy - f2.energy) / 0.1,
+        pitchVariance: Math.abs((f1.pitchVariance || 0) - (f2.pitchVariance || 0)) / 100
+    };
+    
+    if (f1.formants && f2.formants) {
+        // F1 moves ~200 Hz and F2 ~500 Hz between vowel-space extremes
+        const scales = [200, 500, 800];
+        const terms = scales
+            .map((scale, i) => (f1.formants[i] && f2.formants[i]) ? (f1.formants[i] - f2.formants[i]) / scale : null)
+            .filter(term => term !== null);
+        if (terms.length > 0) {
+            diffs.formant = Math.sqrt(terms.reduce((sum, t) => sum + t * t, 0) / terms.length);
+        }
+    } else if (!f1.formants && !f2.formants) {
+        diffs.formant = Math.abs((f1.formant || 0) - (f2.formant || 0)) / 50;
+    }
+    
+    if (f1.mfcc && f2.mfcc) {
+        // Per-coefficient difference in units of the speakers' own spread (skip c0 = loudness)
+        let sum = 0;
+        let deltaSum = 0;
+        for (let c = 1; c < f1.mfcc.length; c++) {
+            const spread = 0.5 * ((f1.mfccStd?.[c] || 1) + (f2.mfccStd?.[c] || 1)) + 0.5;
+            const d = (f1.mfcc[c] - f2.mfcc[c]) / spread;
+            sum += d * d;
+            const dd = ((f1.mfccDelta?.[c] || 0) - (f2.mfccDelta?.[c] || 0)) / spread;
+            deltaSum += dd * dd;
+        }
+        diffs.mfcc = Math.sqrt(sum / (f1.mfcc.length - 1)) / 2;
+        diffs.mfccDelta = Math.sqrt(deltaSum / (f1.mfcc.length - 1));
+    }
     
-    const totalWeight = Object.values(weights).reduce((a, b) => a + b, 0);
-    return distance / Math.sqrt(totalWeight);
+    if (f1.spectralCentroid && f2.spectralCentroid) {
+        diffs.centroid = Math.abs(f1.spectralCentroid - f2.spectralCentroid) / 1000;
+    }
+    
+    let distanceSq = 0;
+    let totalWeight = 0;
+    for (const [key, diff] of Object.entries(diffs)) {
+        distanceSq += weights[key] * diff * diff;
+        totalWeight += weights[key];
+    }
+    
+    return Math.sqrt(distanceSq) / Math.sqrt(totalWeight);
 }
 
 // Update display with diarized transcript
+// One block per utterance (data-start = seconds) so playback can seek and highlight
 function updateDiarizedTranscript() {
-    // Build formatted transcript with speakers and timestamps
-    let formatted = '';
+    const fragment = document.createDocumentFragment();
     
     // MEMORY OPTIMIZATION: In low memory mode, only show last 10 minutes
     let utterancesToShow = state.utterances;
@@ -1109,31 +2073,195 @@ function updateDiarizedTranscript() {
         
         if (utterancesToShow.length < state.utterances.length) {
             const hiddenCount = state.utterances.length - utterancesToShow.length;
-            formatted += `\n[💾 Low Memory Mode: ${hiddenCount} older utterances hidden]\n`;
+            const notice = document.createElement('div');
+            notice.className = 'transcript-notice';
+            notice.textContent = `[💾 Low Memory Mode: ${hiddenCount} older utterances hidden]`;
+            fragment.appendChild(notice);
         }
     }
     
     for (const utt of utterancesToShow) {
-        const time = formatTimestamp(utt.timestamp);
-        const speaker = utt.speaker.name;
+        const block = document.createElement('div');
+        block.className = 'utterance';
+        block.dataset.index = state.utterances.indexOf(utt);
+        block.dataset.start = utt.timestamp;
+        if (state.meetingAudio && !isUtteranceInMeetingAudio(Number(block.dataset.index))) {
+            block.classList.add('no-audio');
+        }
         
         // Add speaker label with timestamp
-        formatted += `\n[${time}] ${speaker}:\n${utt.text}\n`;
+        const header = document.createElement('div');
+        header.className = 'utterance-header';
+        header.style.color = utt.speaker.color || '';
+        header.textContent = `[${formatTimestamp(utt.timestamp)}] ${formatSpeakerLabel(utt)}:`;
+        if (utt.language) {
+            const badge = document.createElement('span');
+            const { text, title } = formatLanguageBadge(utt);
+            badge.className = 'language-badge';
+            badge.textContent = text;
+            badge.title = title;
+            header.appendChild(badge);
+        }
+        
+        // Words are individually seekable when Whisper returned word timestamps
+        const body = document.createElement('div');
+        const words = (utt.chunks || []).filter(chunk => Array.isArray(chunk.timestamp));
+        if (words.length > 0) {
+            for (const word of words) {
+                const span = document.createElement('span');
+                span.className = 'word';
+                span.dataset.start = utt.timestamp + word.timestamp[0];
+                span.title = formatTimestamp(utt.timestamp + word.timestamp[0]);
+                span.textContent = word.text;
+                body.appendChild(span);
+            }
+        } else {
+            body.textContent = utt.text;
+        }
+        block.append(header, body);
+        
+        if (utt.translation) {
+            const translation = document.createElement('div');
+            translation.className = 'utterance-translation';
+            translation.lang = 'en';
+            translation.textContent = utt.translation;
+            block.appendChild(translation);
+        }
+        
+        fragment.appendChild(block);
     }
     
-    els.transcript.textContent = formatted.trim();
+    els.transcript.replaceChildren(fragment);
     els.transcript.scrollTop = els.transcript.scrollHeight;
     
     // Update current transcript for compatibility (always use full transcript)
     state.currentTranscript = state.utterances.map(utt => {
         const time = formatTimestamp(utt.timestamp);
-        return `[${time}] ${utt.speaker.name}:\n${utt.text}`;
+        const translation = utt.translation ? `\n[EN] ${utt.translation}` : '';
+        return `[${time}] ${formatSpeakerLabel(utt)}:\n${utt.text}${translation}`;
     }).join('\n\n');
+    els.downloadSrtBtn.disabled = state.utterances.length === 0;
+    els.downloadVttBtn.disabled = state.utterances.length === 0;
     
     // Update meeting stats
     updateMeetingStats();
 }
 
+// ==================== MEETING AUDIO PLAYBACK ====================
+
+// Record what the VAD hears (both sides in dual capture) for playback.
+// Utterance timestamps are AudioContext time, so remember where the
+// recording starts on that clock
+function startMeetingRecording(context, sources) {
+    // The previous capture's recording stops covering the transcript here
+    const firstUtterance = state.utterances.length;
+    if (state.meetingAudio && state.meetingAudio.endUtterance === undefined) {
+        state.meetingAudio.endUtterance = firstUtterance;
+        // Store the narrowed range with the next save
+        state.meetingAudio.saved = !!state.meetingAudio.tooLarge;
+    }
+    
+    const mimeType = getSupportedMimeType();
+    if (!mimeType) {
+        console.warn('⚠️ MediaRecorder unsupported, meeting audio will not be kept');
+        return;
+    }
+    
+    const destination = context.createMediaStreamDestination();
+    sources.forEach(source => source.connect(destination));
+    
+    const recorder = new MediaRecorder(destination.stream, { mimeType, audioBitsPerSecond: 32000 });
+    const offset = context.currentTime;
+    state.shareChunks = [];
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) state.shareChunks.push(event.data);
+    };
+    recorder.onstop = () => {
+        const blob = new Blob(state.shareChunks, { type: recorder.mimeType });
+        state.shareChunks = [];
+        console.log(`🎞️ Meeting audio recorded: ${(blob.size / 1024 / 1024).toFixed(1)}MB ${recorder.mimeType}`);
+        // One recording per meeting: a new capture replaces the previous one,
+        // and utterances from earlier captures lose playback
+        setMeetingAudio({ blob, offset, firstUtterance, saved: false });
+    };
+    recorder.start(1000);
+    state.shareRecorder = recorder;
+}
+
+function stopMeetingRecording() {
+    if (state.shareRecorder && state.shareRecorder.state !== 'inactive') {
+        state.shareRecorder.stop();
+    }
+    state.shareRecorder = null;
+}
+
+// Show (or hide, for null) the player for the current meeting's audio
+function setMeetingAudio(audio) {
+    state.meetingAudio = audio;
+    
+    if (state.meetingAudioUrl) {
+        URL.revokeObjectURL(state.meetingAudioUrl);
+        state.meetingAudioUrl = null;
+    }
+    if (!els.meetingAudioPlayer) return;
+    
+    if (audio) {
+        state.meetingAudioUrl = URL.createObjectURL(audio.blob);
+        els.meetingAudioPlayer.src = state.meetingAudioUrl;
+    } else {
+        els.meetingAudioPlayer.removeAttribute('src');
+        els.meetingAudioPlayer.load();
+    }
+    els.meetingAudioPanel.style.display = audio ? 'flex' : 'none';
+    els.transcript.classList.toggle('has-audio', !!audio);
+    els.transcript.querySelectorAll('.utterance').forEach(block => {
+        block.classList.toggle('no-audio', !!audio && !isUtteranceInMeetingAudio(Number(block.dataset.index)));
+    });
+}
+
+// Whether the current recording covers state.utterances[index]
+function isUtteranceInMeetingAudio(index) {
+    const audio = state.meetingAudio;
+    return !!audio && index >= (audio.firstUtterance || 0) &&
+        (audio.endUtterance === undefined || index < audio.endUtterance);
+}
+
+// Clicking an utterance or word jumps the player there
+function handleTranscriptClick(event) {
+    const target = event.target.closest('[data-start]');
+    if (!target || !state.meetingAudio) return;
+    const block = target.closest('.utterance');
+    if (!block || !isUtteranceInMeetingAudio(Number(block.dataset.index))) return;
+    
+    const player = els.meetingAudioPlayer;
+    player.currentTime = Math.max(0, Number(target.dataset.start) - state.meetingAudio.offset);
+    player.play().catch(err => console.warn('Playback failed:', err));
+}
+
+// Highlight the utterance under the playhead
+function highlightPlayingUtterance() {
+    if (!state.meetingAudio) return;
+    
+    const time = els.meetingAudioPlayer.currentTime + state.meetingAudio.offset;
+    const index = state.utterances.findIndex((utt, i) => isUtteranceInMeetingAudio(i) &&
+        time >= utt.timestamp && time < utt.timestamp + (utt.duration || 0));
+    
+    const previous = els.transcript.querySelector('.utterance.playing');
+    const current = index === -1 ? null : els.transcript.querySelector(`.utterance[data-index="${index}"]`);
+    if (previous === current) return;
+    
+    previous?.classList.remove('playing');
+    if (current) {
+        current.classList.add('playing');
+        current.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+}
+
+// Speaker name, flagged when the utterance was mostly crosstalk
+function formatSpeakerLabel(utt) {
+    return utt.crosstalk ? `${utt.speaker.name} 🔀 (crosstalk)` : utt.speaker.name;
+}
+
 // Update meeting statistics display
 function updateMeetingStats() {
     const statsDiv = document.getElementById('meetingStats');
@@ -1180,73 +2308,6 @@ function formatTimestamp(seconds) {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${ms}`;
 }
 
-async function transcribeFloat32(float32Data) {
-    if (state.isTranscribing) {
-        console.warn('Transcription already in progress');
-        throw new Error('Another transcription is in progress');
-    }
-    
-    console.log('Starting transcription, audio samples:', float32Data.length);
-    console.log('Sample rate should be 16000 for Whisper');
-    state.isTranscribing = true;
-    
-    try {
-        // Load model if needed (this has its own state management)
-        await loadModelIfNeeded();
-        
-        if (!state.transcriber) {
-            throw new Error('Model not available');
-        }
-        
-        console.log('Current model ID:', state.currentModelId);
-        console.log('Transcriber object:', state.transcriber);
-        
-        console.log('Running transcription...');
-        console.log('Transcriber type:', typeof state.transcriber);
-        console.log('Audio data length:', float32Data.length);
-        
-        els.progressText.textContent = 'Running Whisper model in browser…';
-        setStatus('Transcribing…', true);
-        
-        // Get selected language
-        const language = els.languageSelect ? els.languageSelect.value : null;
-        const options = {
-            chunk_length_s: 30,
-            stride_length_s: 5,
-            return_timestamps: false,
-            condition_on_previous_text: false  // Critical: prevents hallucination/repetition
-        };
-        
-        // Add language if specified
-        if (language) {
-            options.language = language;
-            console.log('Transcribing with language:', language);
-        } else {
-            console.log('Transcribing with auto-detect');
-        }
-        
-        // Call the transcriber with proper format
-        const result = await state.transcriber(float32Data, options);
-        
-        console.log('Transcription result:', result);
-        
-        state.currentTranscript = result.text || '';
-        els.transcript.textContent = state.currentTranscript || '[Empty transcript]';
-        els.progressText.textContent = '';
-        setStatus('Done. Ready.', false);
-        
-        console.log('Transcription complete, length:', state.currentTranscript.length);
-        
-        if (state.currentTranscript.trim().length > 0) {
-            els.copyBtn.disabled = false;
-            els.downloadBtn.disabled = false;
-        }
-    } finally {
-        state.isTranscribing = false;
-        console.log('Transcription finished, isTranscribing:', state.isTranscribing);
-    }
-}
-
 async function transcribeSelectedFile() {
     if (!state.selectedFile) {
         showAlert('Please choose an audio file first.');
@@ -1258,24 +2319,49 @@ async function transcribeSelectedFile() {
         return;
     }
     
+    // The file becomes a meeting of its own
+    if (state.utterances.length > 0 && !confirm('Transcribe this file as a new meeting? Current unsaved changes will be lost.')) {
+        return;
+    }
+    
+    // An earlier run of this file was interrupted (crash, reload)
+    let checkpoint = state.fileCheckpoint;
+    if (checkpoint && !confirm(`Resume "${checkpoint.fileName}" from ${formatTimestamp(checkpoint.lastSegmentAt)} ` +
+        `(${checkpoint.utterances.length} utterances already transcribed)? Cancel starts over.`)) {
+        checkpoint = null;
+    }
+    state.fileCheckpoint = null;
+    
+    const file = state.selectedFile;
+    const signal = state.transcriptionAbort.signal;
     try {
-        validateFile(state.selectedFile);
+        const format = await detectStreamableFormat(state.selectedFile);
+        validateFile(state.selectedFile, format !== null);
         
         els.transcribeFileBtn.disabled = true;
         els.copyBtn.disabled = true;
         els.downloadBtn.disabled = true;
+        stopFilePreview();
         els.progressText.textContent = 'Decoding audio…';
         setStatus('Processing audio file…', true);
         els.transcript.innerHTML = '';
         
-        console.log('Decoding audio file:', state.selectedFile.name);
-        const audioData = await fileToFloat32(state.selectedFile);
-        await transcribeFloat32(audioData);
+        console.log(`Decoding audio file: ${state.selectedFile.name} (${format || 'whole-file'} decode)`);
+        // A resumed run keeps its channel handling and range so segments line up with the checkpoint
+        const streamOptions = checkpoint ? checkpoint.streamOptions : { ...getChannelOptions(), range: state.fileRange };
+        await transcribeFileWithDiarization(state.selectedFile, streamOptions, checkpoint, signal);
     } catch (err) {
+        if (signal.aborted) {
+            await finishCancelledFile(file);
+            return;
+        }
         console.error('Transcription error:', err);
         setStatus('Error during transcription');
         els.progressText.textContent = '';
+        els.progressBar.style.display = 'none';
         showAlert('Error during transcription: ' + err.message);
+        // Whatever was checkpointed can be resumed with another click
+        state.fileCheckpoint = await findFileCheckpoint(state.selectedFile);
     } finally {
         if (state.selectedFile && state.transcriber && !isAnyOperationInProgress()) {
             els.transcribeFileBtn.disabled = false;
@@ -1283,6 +2369,307 @@ async function transcribeSelectedFile() {
     }
 }
 
+// The user stopped a file part way: keep what was transcribed (and the
+// checkpoint, to resume later) or discard it
+async function finishCancelledFile(file) {
+    els.progressText.textContent = '';
+    els.progressBar.style.display = 'none';
+    
+    const count = state.utterances.length;
+    if (count > 0 && confirm(`Transcription cancelled. Keep the ${count} utterance(s) transcribed so far? Cancel discards them.`)) {
+        setStatus('⏹️ Cancelled, partial transcript kept', false);
+        state.fileCheckpoint = await findFileCheckpoint(file);
+        return;
+    }
+    
+    try {
+        await deleteFileCheckpointFromDB(await fileFingerprint(file));
+    } catch (err) {
+        console.warn('⚠️ Failed to delete checkpoint:', err);
+    }
+    state.utterances = [];
+    state.speakers = [];
+    initNewMeeting();
+    setMeetingAudio(null);
+    updateDiarizedTranscript();
+    updateMeetingStats();
+    els.copyBtn.disabled = true;
+    els.downloadBtn.disabled = true;
+    els.saveMeetingBtn.disabled = true;
+    setStatus('⏹️ Cancelled', false);
+}
+
+// Cancel button: stop the file being transcribed (a queued batch job too)
+// and drop the live utterances waiting for Whisper. Models stay loaded: the
+// worker discards the result it is computing and skips the requests queued
+function cancelTranscription() {
+    console.log('⏹️ Cancelling transcription...');
+    state.transcriptionAbort.abort();
+    state.transcriptionAbort = new AbortController();
+    
+    const runningJob = state.fileQueue.find(job => job.status === 'running');
+    runningJob?.abort?.abort();
+    
+    // The drain would skip them; settle them now so the count clears
+    const cancelled = state.utteranceQueue.filter(job => job.signal.aborted);
+    state.utteranceQueue = state.utteranceQueue.filter(job => !job.signal.aborted);
+    cancelled.forEach(job => job.waiters.forEach(resolve => resolve()));
+    renderUtteranceQueue();
+}
+
+// Visible while a file or utterances are being transcribed
+function renderCancelButton() {
+    if (!els.cancelTranscriptionBtn) return;
+    els.cancelTranscriptionBtn.style.display = state.isProcessingFile || state.isTranscribing ? 'inline-block' : 'none';
+}
+
+// Channel handling picked next to the file input
+function getChannelOptions() {
+    const value = els.channelModeSelect ? els.channelModeSelect.value : CHANNEL_MODES.downmix;
+    if (value.startsWith('channel-')) {
+        return { mode: CHANNEL_MODES.channel, channel: Number(value.slice('channel-'.length)) };
+    }
+    return { mode: value };
+}
+
+// Whisper task picked next to the language (see TASK_MODES)
+function getTaskMode() {
+    return els.taskSelect ? els.taskSelect.value : TASK_MODES.transcribe;
+}
+
+// Same segmentation as live capture: VAD worklet -> utterances -> diarization.
+// The file streams through in windows (see streamAudio) and the transcript
+// grows utterance by utterance. Split channels are segmented separately and
+// each becomes one speaker. Progress is checkpointed every
+// FILE_CHECKPOINT_INTERVAL and at each window end, so an interrupted run can
+// continue from a checkpoint (see findFileCheckpoint).
+// Aborting signal stops at once (the utterance in Whisper is dropped),
+// keeping the checkpoint.
+// streamOptions: channel handling and optional range (see streamAudio)
+async function transcribeFileWithDiarization(file, streamOptions, checkpoint = null, signal = null) {
+    await loadModelIfNeeded();
+    if (!state.transcriber) {
+        throw new Error('Model not available');
+    }
+    
+    state.isProcessingFile = true;
+    renderCancelButton();
+    let flushCheckpoint = null; // Saves segments finished since the last checkpoint
+    try {
+        const fingerprint = checkpoint ? checkpoint.fingerprint : await fileFingerprint(file);
+        if (checkpoint) {
+            state.currentMeeting = checkpoint.meeting;
+            state.utterances = checkpoint.utterances;
+            state.speakers = checkpoint.speakers;
+            updateDiarizedTranscript();
+            console.log(`⏯️ Resuming ${file.name} after ${formatTimestamp(checkpoint.lastSegmentAt)} (${state.utterances.length} utterances restored)`);
+        } else {
+            state.utterances = [];
+            state.speakers = [];
+            initNewMeeting();
+            const { range } = streamOptions;
+            state.currentMeeting.title = range
+                ? `${file.name} (${formatTimestamp(range.start)}–${formatTimestamp(range.end)})`
+                : file.name;
+        }
+        state.meetingIntelligence.lastProcessedUtterance = 0;
+        updateMeetingStats();
+        
+        // The file itself is the meeting audio (already compressed)
+        setMeetingAudio({ blob: file, offset: 0, firstUtterance: 0, saved: false });
+        
+        // from: window to restart streaming at, with the progress reached before it
+        const from = checkpoint ? checkpoint.from : null;
+        const initialFraction = from ? from.fraction : 0;
+        let lastSegmentAt = checkpoint ? checkpoint.lastSegmentAt : -Infinity;
+        let checkpointedAt = Date.now();
+        let unsavedFrom = null; // from of segments not checkpointed yet
+        
+        // Each checkpoint copies the whole transcript, so don't wait for it
+        // (IndexedDB applies the puts in order) and don't write one per segment
+        const saveCheckpoint = (resumeFrom) => {
+            checkpointedAt = Date.now();
+            unsavedFrom = null;
+            return saveFileCheckpointToDB({
+                fingerprint,
+                fileName: file.name,
+                streamOptions,
+                from: resumeFrom,
+                lastSegmentAt,
+                transcribedUntil: { ...transcribedUntil },
+                totalDuration: progress.totalDuration,
+                meeting: state.currentMeeting,
+                speakers: state.speakers,
+                utterances: state.utterances.slice() // As of lastSegmentAt, even if the put is delayed
+            }).catch(err => console.warn('⚠️ Failed to save checkpoint:', err));
+        };
+        flushCheckpoint = () => unsavedFrom ? saveCheckpoint(unsavedFrom) : Promise.resolve();
+        
+        const progress = {
+            startedAt: Date.now(),
+            initialFraction,
+            fraction: initialFraction,
+            position: from ? from.start : streamOptions.range?.start || 0,
+            totalDuration: checkpoint ? checkpoint.totalDuration : 0
+        };
+        els.progressBar.style.display = 'block';
+        els.progressFill.style.width = `${initialFraction * 100}%`;
+        setStatus('🎚️ Detecting speech…', true);
+        els.progressText.textContent = 'Decoding audio…';
+        
+        let carry = null; // Speech cut off by the previous window: { start, tracks, from }
+        // Per track: end of its last transcribed segment. The carry starts at the
+        // cut segment, so other tracks' segments may reach into it and come back
+        const transcribedUntil = checkpoint?.transcribedUntil ? { ...checkpoint.transcribedUntil } : {};
+        const noiseFloors = {}; // Per track, handed from window to window (calibrate once)
+        let previousFraction = initialFraction;
+        
+        for await (const window of streamAudio(file, { ...streamOptions, from })) {
+            const isLast = window.progress >= 1;
+            const windowFrom = { offset: window.offset, start: window.start, fraction: previousFraction };
+            const chunkFrom = carry ? carry.from : windowFrom;
+            const start = carry ? carry.start : window.start;
+            const tracks = carry ? prependTracks(carry.tracks, window.tracks) : window.tracks;
+            const end = start + tracks[0].samples.length / VAD_CONFIG.sampleRate;
+            progress.totalDuration = Math.min(streamOptions.range?.end ?? Infinity, window.totalDuration);
+            
+            let segments = [];
+            for (const track of tracks) {
+                const speakerTrack = tracks.length > 1 ? channelTrack(track.channel, track.label) : null;
+                const found = await segmentAudioOffline(track.samples, VAD_CONFIG.sampleRate, noiseFloors[track.channel]);
+                noiseFloors[track.channel] = found.noiseFloor;
+                found.segments.forEach(segment => segments.push({
+                    ...segment,
+                    timestamp: start + segment.timestamp,
+                    track: speakerTrack,
+                    channel: track.channel
+                }));
+            }
+            segments.sort((a, b) => a.timestamp - b.timestamp);
+            signal?.throwIfAborted();
+            
+            // The VAD force-closes speech still running at the window end;
+            // hold it back and segment it again together with the next window
+            carry = null;
+            const cut = isLast ? null : segments.find(segment =>
+                segment.timestamp + segment.audio.length / segment.sampleRate >= end - FILE_WINDOW_EDGE_SECONDS);
+            if (cut && cut.timestamp > start) {
+                const offset = Math.floor((cut.timestamp - start) * VAD_CONFIG.sampleRate);
+                carry = {
+                    start: start + offset / VAD_CONFIG.sampleRate,
+                    tracks: tracks.map(track => ({ ...track, samples: track.samples.slice(offset) })),
+                    from: cut.timestamp >= window.start ? windowFrom : chunkFrom
+                };
+                segments.splice(segments.indexOf(cut));
+            }
+            
+            // Replayed audio before the checkpoint segments the same way; skip what is done
+            const segmentCount = segments.length;
+            segments = segments.filter(segment => segment.timestamp > lastSegmentAt)
+                .map(segment => trimSegmentStart(segment, transcribedUntil[segment.channel] ?? -Infinity))
+                .filter(Boolean);
+            console.log(`✂️ ${segmentCount} speech segments in ${formatTimestamp(start)}-${formatTimestamp(end)}` +
+                (segments.length < segmentCount ? `, ${segmentCount - segments.length} already transcribed` : '') +
+                (carry ? ` (${(end - carry.start).toFixed(1)}s carried over)` : ''));
+            
+            for (let i = 0; i < segments.length; i++) {
+                signal?.throwIfAborted();
+                const { audio, timestamp, features, sampleRate, overlap, track, channel } = segments[i];
+                progress.fraction = previousFraction + (window.progress - previousFraction) * i / segments.length;
+                progress.position = timestamp;
+                renderFileProgress(progress);
+                setStatus('⚙️ Transcribing with timestamps...', true);
+                await transcribeUtteranceWithDiarization(audio, timestamp, features, sampleRate, overlap, track, signal ?? state.transcriptionAbort.signal);
+                signal?.throwIfAborted(); // Before the checkpoint counts the segment as done
+                
+                lastSegmentAt = timestamp;
+                transcribedUntil[channel] = timestamp + audio.length / sampleRate;
+                unsavedFrom = chunkFrom;
+                if (i === segments.length - 1 || Date.now() - checkpointedAt >= FILE_CHECKPOINT_INTERVAL) {
+                    saveCheckpoint(chunkFrom);
+                }
+            }
+            
+            previousFraction = window.progress;
+            progress.fraction = window.progress;
+            progress.position = carry ? carry.start : end;
+            renderFileProgress(progress);
+        }
+        
+        await deleteFileCheckpointFromDB(fingerprint).catch(err => console.warn('⚠️ Failed to delete checkpoint:', err));
+        
+        els.progressText.textContent = '';
+        els.progressBar.style.display = 'none';
+        setStatus('Done. Ready.', false);
+        console.log(`📊 File done: ${state.utterances.length} utterances, ${state.speakers.length} speakers ` +
+            `in ${formatDuration((Date.now() - progress.startedAt) / 1000)}`);
+        
+        if (state.utterances.length === 0) {
+            showAlert('No speech detected in this file', 'warning');
+        }
+    } catch (err) {
+        // A cancelled or failed run resumes after everything it transcribed
+        await flushCheckpoint?.();
+        throw err;
+    } finally {
+        state.isProcessingFile = false;
+        renderCancelButton();
+    }
+    
+    // Awaited: a batch job saves the meeting right after, and the next job
+    // replaces the transcript this reads
+    if (state.utterances.length > 0) {
+        console.log('🧠 Processing intelligence for file...');
+        try {
+            await processTranscriptIntelligence();
+        } catch (err) {
+            console.error('Intelligence processing failed:', err);
+        }
+    }
+}
+
+// Carried-over audio followed by the next window, track by track
+function prependTracks(before, after) {
+    return after.map((track, i) => {
+        const samples = new Float32Array(before[i].samples.length + track.samples.length);
+        samples.set(before[i].samples);
+        samples.set(track.samples, before[i].samples.length);
+        return { ...track, samples };
+    });
+}
+
+// The part of a segment after `until` (what its track already transcribed),
+// null when too little is left. Crosstalk regions move with the new start
+function trimSegmentStart(segment, until) {
+    if (segment.timestamp >= until) return segment;
+    
+    const skip = Math.ceil((until - segment.timestamp) * segment.sampleRate);
+    if ((segment.audio.length - skip) / segment.sampleRate < FILE_MIN_TAIL_SECONDS) {
+        return null;
+    }
+    const shift = skip / segment.sampleRate;
+    let overlap = segment.overlap;
+    if (overlap?.regions.length > 0) {
+        const regions = overlap.regions
+            .filter(region => region.end > shift)
+            .map(region => ({ ...region, start: Math.max(0, region.start - shift), end: region.end - shift }));
+        overlap = { ...overlap, regions };
+    }
+    return { ...segment, audio: segment.audio.slice(skip), timestamp: segment.timestamp + shift, overlap };
+}
+
+// Percent, audio position and ETA of a file transcription
+function renderFileProgress({ startedAt, initialFraction, fraction, position, totalDuration }) {
+    const percent = Math.min(100, fraction * 100);
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const done = fraction - initialFraction; // This run only, a resumed run starts part way
+    const eta = done > 0.02 ? formatDuration(elapsed / done * (1 - fraction)) : '…';
+    
+    els.progressFill.style.width = `${percent.toFixed(1)}%`;
+    els.progressText.textContent = `Transcribing… ${percent.toFixed(0)}% · ` +
+        `${formatTimestamp(position)} of ~${formatTimestamp(totalDuration)} audio · ETA ${eta}`;
+}
+
 function getSupportedMimeType() {
     const types = [
         'audio/webm;codecs=opus',
@@ -1291,13 +2678,506 @@ function getSupportedMimeType() {
         'audio/mp4'
     ];
     
-    for (const type of types) {
-        if (MediaRecorder.isTypeSupported(type)) {
-            return type;
-        }
+    for (const type of types) {
+        if (MediaRecorder.isTypeSupported(type)) {
+            return type;
+        }
+    }
+    
+    return null;
+}
+
+// Open an AudioContext for a capture stream, preferring 16 kHz
+// Browsers may ignore the requested rate, or refuse to connect a stream
+// whose rate differs from it; the device rate works everywhere and the
+// VAD worklet resamples its output to 16 kHz either way
+function createCaptureContext(stream) {
+    let context = null;
+    try {
+        context = new AudioContext({ sampleRate: VAD_CONFIG.sampleRate });
+        return { context, source: context.createMediaStreamSource(stream) };
+    } catch (error) {
+        console.warn(`⚠️ ${VAD_CONFIG.sampleRate} Hz capture unavailable (${error.message}), using the device rate`);
+        if (context) {
+            context.close().catch(() => {});
+        }
+    }
+    
+    context = new AudioContext();
+    return { context, source: context.createMediaStreamSource(stream) };
+}
+
+// ==================== BATCH FILE QUEUE ====================
+// Files run one after another through transcribeFileWithDiarization and
+// each finished one is saved as its own meeting
+
+const MEDIA_FILE_EXTENSIONS = ['wav', 'mp3', 'm4a', 'aac', 'ogg', 'oga', 'opus', 'flac', 'webm', 'mp4', 'mov', 'mkv'];
+
+const FILE_JOB_LABELS = {
+    pending: '⏳ Pending',
+    running: '⚙️ Transcribing…',
+    done: '✅ Done',
+    failed: '❌ Failed',
+    cancelled: '⏹ Cancelled'
+};
+
+function isMediaFile(file) {
+    if (file.type.startsWith('audio/') || file.type.startsWith('video/')) return true;
+    const extension = file.name.split('.').pop().toLowerCase();
+    return MEDIA_FILE_EXTENSIONS.includes(extension);
+}
+
+// Add files to the queue (sorted by name) and start it if idle
+function enqueueFiles(files) {
+    const media = files.filter(isMediaFile);
+    if (media.length < files.length) {
+        showAlert(`Skipped ${files.length - media.length} file(s) that are not audio or video`, 'warning');
+    }
+    if (media.length === 0) return;
+    
+    // The queue replaces the transcript on screen, unless it is one of its own
+    const fromQueue = state.fileQueue.some(job => job.meetingId && job.meetingId === state.currentMeeting?.id);
+    if (!state.fileQueueRunning && !fromQueue && state.utterances.length > 0 &&
+        !confirm('Transcribe these files as new meetings? Current unsaved changes will be lost.')) {
+        return;
+    }
+    
+    media.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    const channelOptions = getChannelOptions();
+    for (const file of media) {
+        state.fileQueue.push({
+            id: ++state.fileJobId,
+            file,
+            channelOptions,
+            status: 'pending',
+            detail: '',
+            meetingId: null,
+            abort: null
+        });
+    }
+    console.log(`📥 Queued ${media.length} file(s)`);
+    
+    renderFileQueue();
+    runFileQueue();
+}
+
+async function handleFileDrop(e) {
+    e.preventDefault();
+    els.fileDropZone.classList.remove('drag-over');
+    
+    try {
+        enqueueFiles(await collectDroppedFiles(e.dataTransfer));
+    } catch (err) {
+        console.error('Failed to read dropped files:', err);
+        showAlert(`Failed to read dropped files: ${err.message}`);
+    }
+}
+
+// Files of a drop, walking into dropped folders
+async function collectDroppedFiles(dataTransfer) {
+    // Entries must be taken before the first await, the list empties after the event
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry?.())
+        .filter(Boolean);
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files);
+    }
+    
+    const files = [];
+    const walk = async (entry) => {
+        if (entry.isFile) {
+            files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+        } else if (entry.isDirectory) {
+            // readEntries returns a batch at a time, empty when done
+            const reader = entry.createReader();
+            let batch;
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await walk(child);
+                }
+            } while (batch.length > 0);
+        }
+    };
+    for (const entry of entries) {
+        await walk(entry);
+    }
+    return files;
+}
+
+async function runFileQueue() {
+    if (state.fileQueueRunning) return;
+    state.fileQueueRunning = true;
+    els.transcribeFileBtn.disabled = true;
+    
+    try {
+        let job;
+        while ((job = state.fileQueue.find(j => j.status === 'pending'))) {
+            await waitForFileQueueTurn(job);
+            if (job.status !== 'pending') continue; // Cancelled while waiting
+            await runFileJob(job);
+        }
+    } finally {
+        state.fileQueueRunning = false;
+        renderFileQueue();
+        if (state.selectedFile && state.transcriber && !isAnyOperationInProgress()) {
+            els.transcribeFileBtn.disabled = false;
+        }
+    }
+    
+    const done = state.fileQueue.filter(job => job.status === 'done').length;
+    const failed = state.fileQueue.filter(job => job.status === 'failed').length;
+    console.log(`📊 Queue finished: ${done} done, ${failed} failed`);
+    showAlert(`Queue finished: ${done} saved as meetings${failed ? `, ${failed} failed` : ''}`, failed ? 'warning' : 'success');
+    refreshMeetingsHistory();
+}
+
+// Live capture, a model load or a single-file run go first
+async function waitForFileQueueTurn(job) {
+    while (state.isLoadingModel || state.isTranscribing || state.isProcessingFile || state.captureSource) {
+        if (job.status !== 'pending') return;
+        if (job.detail !== 'waiting') {
+            job.detail = 'waiting';
+            renderFileQueue();
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    job.detail = '';
+}
+
+async function runFileJob(job) {
+    job.status = 'running';
+    job.abort = new AbortController();
+    renderFileQueue();
+    console.log(`\n📂 Queue: ${job.file.name}`);
+    
+    try {
+        validateFile(job.file, await detectStreamableFormat(job.file) !== null);
+        
+        // Unattended: an interrupted earlier run always resumes
+        const checkpoint = await findFileCheckpoint(job.file);
+        const streamOptions = checkpoint ? checkpoint.streamOptions : job.channelOptions;
+        els.transcript.innerHTML = '';
+        await transcribeFileWithDiarization(job.file, streamOptions, checkpoint, job.abort.signal);
+        
+        if (state.utterances.length > 0) {
+            await persistCurrentMeeting();
+            job.meetingId = state.currentMeeting.id;
+            job.detail = `${state.utterances.length} utterances, ${state.speakers.length} speakers`;
+        } else {
+            job.detail = 'no speech';
+        }
+        job.status = 'done';
+    } catch (err) {
+        job.status = job.abort.signal.aborted ? 'cancelled' : 'failed';
+        job.detail = job.status === 'failed' ? err.message : '';
+        console.error(`❌ Queue: ${job.file.name}:`, err);
+        els.progressText.textContent = '';
+        els.progressBar.style.display = 'none';
+        setStatus(job.status === 'failed' ? 'Error during transcription' : 'Cancelled', false);
+    } finally {
+        job.abort = null;
+        renderFileQueue();
+    }
+}
+
+function renderFileQueue() {
+    if (!els.fileQueue) return;
+    els.fileQueue.style.display = state.fileQueue.length > 0 ? 'block' : 'none';
+    
+    const counts = {};
+    state.fileQueue.forEach(job => { counts[job.status] = (counts[job.status] || 0) + 1; });
+    els.fileQueueSummary.textContent = `Queue: ${state.fileQueue.length} file(s)` +
+        Object.entries(counts).map(([status, count]) => ` · ${count} ${status}`).join('');
+    
+    els.fileQueueList.innerHTML = state.fileQueue.map((job, index) => {
+        const button = (action, label, title) =>
+            `<button class="btn-job" data-action="${action}" data-job="${job.id}" title="${title}">${label}</button>`;
+        const actions = [];
+        if (job.status === 'pending') {
+            if (index > 0) actions.push(button('up', '▲', 'Move up'));
+            if (index < state.fileQueue.length - 1) actions.push(button('down', '▼', 'Move down'));
+            actions.push(button('cancel', '✕', 'Cancel'));
+        } else if (job.status === 'running') {
+            actions.push(button('cancel', '⏹', 'Cancel (progress is kept for a retry)'));
+        } else if (job.status === 'done' && job.meetingId && !state.fileQueueRunning) {
+            // Opening replaces the transcript, so only once the queue is idle
+            actions.push(button('open', '📂', 'Open meeting'));
+        } else if (job.status === 'failed' || job.status === 'cancelled') {
+            actions.push(button('retry', '🔁', 'Retry'));
+        }
+        const detail = job.detail === 'waiting' ? 'waiting for capture/transcription to finish' : job.detail;
+        
+        return `
+            <li class="file-job ${job.status}">
+                <span class="file-job-name" title="${escapeHtml(job.file.name)}">${escapeHtml(job.file.name)}</span>
+                <span class="file-job-status" title="${escapeHtml(detail)}">${FILE_JOB_LABELS[job.status]}${detail ? ` · ${escapeHtml(detail)}` : ''}</span>
+                ${actions.join('')}
+            </li>
+        `;
+    }).join('');
+}
+
+function handleFileQueueClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const index = state.fileQueue.findIndex(job => job.id === Number(button.dataset.job));
+    const job = state.fileQueue[index];
+    if (!job) return;
+    
+    switch (button.dataset.action) {
+        case 'up':
+        case 'down': {
+            const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+            [state.fileQueue[index], state.fileQueue[target]] = [state.fileQueue[target], state.fileQueue[index]];
+            break;
+        }
+        case 'cancel':
+            if (job.status === 'running') {
+                job.abort?.abort(new Error('Cancelled'));
+                setStatus('Cancelling after the current utterance…', true);
+            } else {
+                job.status = 'cancelled';
+            }
+            break;
+        case 'retry':
+            job.status = 'pending';
+            job.detail = '';
+            runFileQueue();
+            break;
+        case 'open':
+            loadMeeting(job.meetingId);
+            break;
+    }
+    renderFileQueue();
+}
+
+function clearFinishedFileJobs() {
+    state.fileQueue = state.fileQueue.filter(job => job.status === 'pending' || job.status === 'running');
+    renderFileQueue();
+}
+
+// ==================== FILE RANGE PREVIEW ====================
+// Waveform of the selected file with start/end handles. Only the chosen
+// range is transcribed (streamAudio options.range), timestamps stay relative
+// to the whole file. WAV/MP3 decode just the range; other formats are
+// decoded whole and then trimmed (renderFileRange says so)
+
+const MIN_FILE_RANGE_SECONDS = 1;
+
+// Decode the envelope window by window, drawing as it arrives
+async function loadFilePreview(file) {
+    stopFilePreview();
+    const preview = { file, duration: 0, min: [], max: [], peak: 0, stopped: false, streamable: true };
+    state.filePreview = preview;
+    state.fileRange = null;
+    els.filePreview.style.display = 'block';
+    els.rangeStartInput.disabled = true;
+    els.rangeEndInput.disabled = true;
+    els.rangeSummary.textContent = 'Reading waveform…';
+    drawFilePreview();
+    
+    try {
+        preview.streamable = await detectStreamableFormat(file) !== null;
+        for await (const peaks of streamWaveformPeaks(file)) {
+            if (preview.stopped) return;
+            preview.duration = peaks.totalDuration;
+            for (let i = 0; i < peaks.min.length; i++) {
+                preview.min.push(peaks.min[i]);
+                preview.max.push(peaks.max[i]);
+                preview.peak = Math.max(preview.peak, -peaks.min[i], peaks.max[i]);
+            }
+            els.rangeStartInput.disabled = false;
+            els.rangeEndInput.disabled = false;
+            renderFileRange();
+        }
+    } catch (err) {
+        console.warn('Waveform preview failed:', err);
+        if (state.filePreview === preview) {
+            els.rangeSummary.textContent = `No preview: ${err.message}`;
+        }
+    }
+}
+
+// Leave the preview as drawn so far (the CPU is needed for transcription)
+function stopFilePreview() {
+    if (state.filePreview) {
+        state.filePreview.stopped = true;
+    }
+}
+
+function hideFilePreview() {
+    stopFilePreview();
+    state.filePreview = null;
+    state.fileRange = null;
+    if (els.filePreview) {
+        els.filePreview.style.display = 'none';
+    }
+}
+
+// Clamp to the file and MIN_FILE_RANGE_SECONDS; the whole file means no range
+function setFileRange(start, end) {
+    const duration = state.filePreview?.duration || 0;
+    if (duration <= MIN_FILE_RANGE_SECONDS) return;
+    
+    const round = seconds => Math.round(seconds * 10) / 10;
+    start = round(Math.max(0, Math.min(start, duration - MIN_FILE_RANGE_SECONDS)));
+    end = round(Math.max(start + MIN_FILE_RANGE_SECONDS, Math.min(end, duration)));
+    state.fileRange = start <= 0 && end >= duration ? null : { start, end };
+    renderFileRange();
+}
+
+// Inputs, handles and summary from state.fileRange
+function renderFileRange() {
+    const duration = state.filePreview?.duration || 0;
+    const { start, end } = state.fileRange || { start: 0, end: duration };
+    
+    if (document.activeElement !== els.rangeStartInput) {
+        els.rangeStartInput.value = formatTimestamp(start);
+    }
+    if (document.activeElement !== els.rangeEndInput) {
+        els.rangeEndInput.value = formatTimestamp(end);
+    }
+    els.rangeStartHandle.style.left = duration ? `${start / duration * 100}%` : '0%';
+    els.rangeEndHandle.style.left = duration ? `${end / duration * 100}%` : '100%';
+    els.rangeSummary.textContent = state.fileRange
+        ? `Transcribing ${formatDuration(end - start)} of ${formatDuration(duration)}` +
+            (state.filePreview?.streamable === false ? ' (whole file is decoded)' : '')
+        : `Whole file (${formatDuration(duration)}). Drag on the waveform to transcribe only part of it.`;
+    
+    drawFilePreview();
+}
+
+function drawFilePreview() {
+    const canvas = els.filePreviewCanvas;
+    const preview = state.filePreview;
+    if (!canvas || !preview) return;
+    
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = canvas.clientWidth * dpr;
+    canvas.height = canvas.clientHeight * dpr;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!preview.duration || preview.min.length === 0) return;
+    
+    const { start, end } = state.fileRange || { start: 0, end: preview.duration };
+    const middle = canvas.height / 2;
+    const scale = middle / (preview.peak || 1);
+    const perPixel = preview.duration * WAVEFORM_PEAKS_PER_SECOND / canvas.width;
+    
+    for (let x = 0; x < canvas.width; x++) {
+        const first = Math.floor(x * perPixel);
+        const last = Math.min(preview.min.length, Math.max(first + 1, Math.floor((x + 1) * perPixel)));
+        if (first >= preview.min.length) break;
+        
+        let lo = 0, hi = 0;
+        for (let i = first; i < last; i++) {
+            lo = Math.min(lo, preview.min[i]);
+            hi = Math.max(hi, preview.max[i]);
+        }
+        const time = x / canvas.width * preview.duration;
+        ctx.fillStyle = time >= start && time <= end ? TELEMETRY_CONFIG.idleColor : 'rgba(0, 0, 0, 0.2)';
+        ctx.fillRect(x, middle - hi * scale, 1, Math.max(1, (hi - lo) * scale));
+    }
+}
+
+// Drag the nearer handle (a click jumps it there)
+function handleFilePreviewPointerDown(e) {
+    const preview = state.filePreview;
+    if (!preview || !preview.duration) return;
+    
+    const wave = els.filePreviewWave;
+    const rect = wave.getBoundingClientRect();
+    const timeAt = x => Math.max(0, Math.min(1, (x - rect.left) / rect.width)) * preview.duration;
+    const initial = state.fileRange || { start: 0, end: preview.duration };
+    const clicked = timeAt(e.clientX);
+    const handle = Math.abs(clicked - initial.start) <= Math.abs(clicked - initial.end) ? 'start' : 'end';
+    
+    const move = (event) => {
+        const time = timeAt(event.clientX);
+        const { start, end } = state.fileRange || { start: 0, end: preview.duration };
+        setFileRange(handle === 'start' ? time : start, handle === 'end' ? time : end);
+    };
+    move(e);
+    
+    wave.setPointerCapture(e.pointerId);
+    wave.onpointermove = move;
+    wave.onpointerup = wave.onpointercancel = () => {
+        wave.onpointermove = null;
+        wave.onpointerup = wave.onpointercancel = null;
+    };
+}
+
+function handleFileRangeInput() {
+    const start = parseTimecode(els.rangeStartInput.value);
+    const end = parseTimecode(els.rangeEndInput.value);
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {
+        showAlert('Use timecodes like 12:30 or 1:02:03', 'warning');
+        renderFileRange();
+        return;
+    }
+    setFileRange(start, end);
+}
+
+// "1:02:03.5", "62:03" or "75" -> seconds (NaN if unreadable)
+function parseTimecode(text) {
+    const parts = text.trim().split(':');
+    if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return NaN;
+    return parts.reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+// Run decoded 16 kHz audio through the VAD worklet in an OfflineAudioContext
+// (faster than real time) and collect its speech_end events in order
+// noiseFloor: start from this floor instead of calibrating (next window of a
+// file); resolves { segments, noiseFloor at the end of the input }
+async function segmentAudioOffline(audioFloat32, sampleRate = VAD_CONFIG.sampleRate, noiseFloor = null) {
+    // One spare render quantum so the worklet sees the end of the input
+    const context = new OfflineAudioContext(1, audioFloat32.length + 128, sampleRate);
+    await context.audioWorklet.addModule('js/vad-processor.js');
+    
+    const buffer = context.createBuffer(1, audioFloat32.length, sampleRate);
+    buffer.copyToChannel(audioFloat32, 0);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    
+    const node = new AudioWorkletNode(context, 'vad-processor', {
+        processorOptions: { ...state.vadSettings, inputLength: audioFloat32.length, noiseFloor }
+    });
+    
+    // Port messages may trail the rendering; input_complete is always last
+    const segments = [];
+    let finalNoiseFloor = noiseFloor;
+    const complete = new Promise(resolve => {
+        node.port.onmessage = (event) => {
+            const { type } = event.data;
+            if (type === 'speech_end') {
+                segments.push(event.data);
+            } else if (type === 'speech_discarded') {
+                console.log(`🚮 Discarded non-speech at ${event.data.timestamp.toFixed(2)}s (speech probability ${event.data.speechProbability.toFixed(2)})`);
+            } else if (type === 'input_complete') {
+                finalNoiseFloor = event.data.noiseFloor;
+                resolve();
+            }
+        };
+    });
+    
+    source.connect(node);
+    node.connect(context.destination);
+    source.start(0);
+    
+    try {
+        await context.startRendering();
+        await Promise.race([
+            complete,
+            new Promise((_, reject) => setTimeout(
+                () => reject(new Error('Voice detection did not finish')), VAD_COMMAND_TIMEOUT))
+        ]);
+    } finally {
+        node.port.onmessage = null;
     }
     
-    return null;
+    return { segments, noiseFloor: finalNoiseFloor };
 }
 
 async function startScreenShare() {
@@ -1316,11 +3196,7 @@ async function startScreenShare() {
         }
         
         // Update UI
-        els.startShareBtn.disabled = true;
-        els.stopShareBtn.disabled = false;
-        els.transcribeFileBtn.disabled = true;
-        els.copyBtn.disabled = true;
-        els.downloadBtn.disabled = true;
+        setCaptureButtons('screen');
         els.progressText.textContent = 'Waiting for you to select what to share…';
         
         // Request screen/tab capture with audio
@@ -1337,85 +3213,234 @@ async function startScreenShare() {
         const audioTrack = stream.getAudioTracks()[0];
         if (!audioTrack) {
             stream.getTracks().forEach(t => t.stop());
-            els.startShareBtn.disabled = false;
-            els.stopShareBtn.disabled = true;
+            setCaptureButtons(null);
             els.progressText.textContent = '';
             throw new Error('No audio track. Please check "Share audio" in the screen picker!');
         }
         
         console.log('✅ Got audio track:', audioTrack.label);
-        state.shareStream = stream;
-        
-        // Create audio context
-        state.audioContext = new AudioContext({ sampleRate: VAD_CONFIG.sampleRate });
-        const source = state.audioContext.createMediaStreamSource(stream);
-        
-        // Load AudioWorklet processor from static file
-        await state.audioContext.audioWorklet.addModule('js/vad-processor.js');
         
-        // Create worklet node
-        state.audioWorkletNode = new AudioWorkletNode(
-            state.audioContext, 
-            'vad-processor',
-            {
-                processorOptions: {
-                    energyThreshold: VAD_CONFIG.energyThreshold,
-                    silenceFramesNeeded: VAD_CONFIG.silenceFramesNeeded,
-                    speechFramesNeeded: VAD_CONFIG.speechFramesNeeded
-                }
+        // Calls: the tab only carries the remote side, our own voice comes from the mic
+        let localStream = null;
+        if (els.includeMicCheckbox?.checked) {
+            els.progressText.textContent = 'Waiting for microphone permission…';
+            try {
+                localStream = await getMicrophoneStream({ echoCancellation: true });
+            } catch (error) {
+                stream.getTracks().forEach(t => t.stop());
+                throw error;
             }
-        );
+            console.log('✅ Got microphone:', localStream.getAudioTracks()[0].label);
+        }
         
-        // Listen for VAD events and live mode snapshots
-        state.audioWorkletNode.port.onmessage = (event) => {
-            if (event.data.type === 'snapshot_ready') {
-                // Handle live mode snapshot
-                handleSnapshotReady(event.data.audio, event.data.timestamp);
-            } else {
-                // Handle standard VAD events
-                handleVADEvent(event);
-            }
-        };
+        await startVADCapture(stream, 'screen', localStream);
+        els.progressText.textContent = localStream
+            ? 'Tab + microphone capture active. Your voice is labelled "Me".'
+            : 'Screen audio capture active. Speak naturally!';
+        showAlert('Screen audio capture active! Speak naturally and pause between sentences.');
         
-        // Connect: source -> worklet -> (silent) destination
-        source.connect(state.audioWorkletNode);
-        state.audioWorkletNode.connect(state.audioContext.destination);
+    } catch (error) {
+        console.error('❌ Failed to start:', error);
+        showAlert(error.message);
+        cleanupCapture();
+    }
+}
+
+// Capture from a microphone (in-room meetings, browsers without tab audio)
+async function startMicCapture() {
+    console.log('\n🎙️ Starting microphone capture with VAD processing...');
+    
+    try {
+        if (isAnyOperationInProgress()) {
+            showAlert('Please wait for the current operation to complete.');
+            return;
+        }
         
-        // Clear transcript
-        els.transcript.innerHTML = '<em style="color: var(--color-gray-400);">🎙️ Listening for speech - transcription appears when you pause</em>';
-        state.currentTranscript = '';
-        state.isLiveTranscribing = true;
-        
-        // Handle stream ending (user stops sharing)
-        const videoTrack = stream.getVideoTracks()[0];
-        if (videoTrack) {
-            videoTrack.addEventListener('ended', () => {
-                console.log('Video track ended, stopping recording');
-                stopScreenShare();
-            });
+        await loadModelIfNeeded();
+        if (!state.transcriber) {
+            return;
         }
         
-        setStatus('🎙️ Listening for speech...', true);
-        els.progressText.textContent = 'Screen audio capture active. Speak naturally!';
-        showAlert('Screen audio capture active! Speak naturally and pause between sentences.');
+        setCaptureButtons('mic');
+        els.progressText.textContent = 'Waiting for microphone permission…';
         
-        console.log('✅ VAD processing started');
+        const stream = await getMicrophoneStream();
+        const audioTrack = stream.getAudioTracks()[0];
+        console.log('✅ Got microphone:', audioTrack.label);
+        
+        await startVADCapture(stream, 'mic');
+        els.progressText.textContent = `Microphone capture active (${audioTrack.label || 'default input'}). Speak naturally!`;
+        showAlert('Microphone capture active! Speak naturally and pause between sentences.', 'success');
         
     } catch (error) {
-        console.error('❌ Failed to start:', error);
-        showAlert(error.message);
-        cleanupScreenShare();
+        console.error('❌ Failed to start microphone:', error);
+        const message = error.name === 'NotAllowedError'
+            ? 'Microphone permission was denied.'
+            : error.name === 'OverconstrainedError' || error.name === 'NotFoundError'
+                ? 'Selected microphone is not available. Pick another input.'
+                : error.message;
+        showAlert(message);
+        cleanupCapture();
+    }
+}
+
+// Open the microphone picked in the device list
+// Raw signal by default: browser noise suppression and AGC fight the VAD's noise floor
+async function getMicrophoneStream({ echoCancellation = false } = {}) {
+    const deviceId = els.micDeviceSelect?.value;
+    const stream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+            deviceId: deviceId ? { exact: deviceId } : undefined,
+            echoCancellation,
+            noiseSuppression: false,
+            autoGainControl: false
+        }
+    });
+    
+    // Device labels are only exposed once permission has been granted
+    await refreshMicDevices();
+    const settings = stream.getAudioTracks()[0].getSettings();
+    if (els.micDeviceSelect && settings.deviceId) {
+        els.micDeviceSelect.value = settings.deviceId;
+        localStorage.setItem(MIC_DEVICE_STORAGE_KEY, settings.deviceId);
+    }
+    
+    return stream;
+}
+
+// Run a capture stream through the VAD worklet into the diarization path
+// localStream: dual capture's microphone, transcribed as "Me"
+async function startVADCapture(stream, source, localStream = null) {
+    state.captureStream = stream;
+    state.captureSource = source;
+    state.localStream = localStream;
+    
+    // Create audio context
+    const { context, source: streamSource } = createCaptureContext(stream);
+    state.audioContext = context;
+    console.log(`🎛️ Capture sample rate: ${context.sampleRate} Hz` +
+        (context.sampleRate !== VAD_CONFIG.sampleRate ? ` (resampled to ${VAD_CONFIG.sampleRate} Hz)` : ''));
+    
+    // Load AudioWorklet processor from static file
+    await state.audioContext.audioWorklet.addModule('js/vad-processor.js');
+    
+    state.audioWorkletNode = createVADNode(streamSource, 'main');
+    
+    // Separate worklet per source: each side keeps its own noise floor and
+    // an utterance never mixes the two (same context, so timestamps line up)
+    const localSource = localStream ? context.createMediaStreamSource(localStream) : null;
+    if (localSource) {
+        state.localWorkletNode = createVADNode(localSource, 'local');
+    }
+    
+    startMeetingRecording(context, [streamSource, localSource].filter(Boolean));
+    
+    // Live captions may have been switched on before capture started
+    if (state.liveTranscription.enabled) {
+        sendVADCommand('enable_live_mode', { enabled: true })
+            .catch(err => console.warn('Failed to enable live mode:', err));
+    }
+    
+    // Clear transcript
+    els.transcript.innerHTML = '<em style="color: var(--color-gray-400);">🎙️ Listening for speech - transcription appears when you pause</em>';
+    state.currentTranscript = '';
+    state.isLiveTranscribing = true;
+    
+    // Handle stream ending (user stops sharing, microphone unplugged)
+    const endingTracks = [stream.getVideoTracks()[0] || stream.getAudioTracks()[0]];
+    if (localStream) endingTracks.push(localStream.getAudioTracks()[0]);
+    endingTracks.forEach(track => track.addEventListener('ended', () => {
+        console.log(`${track.kind} track ended, stopping recording`);
+        stopCapture();
+    }));
+    
+    updateNoiseFloorDisplay(null);
+    resetVADTelemetry(true);
+    setStatus('🎚️ Calibrating noise floor...', true);
+    
+    console.log('✅ VAD processing started');
+}
+
+// Worklet node fed by a capture source -> (silent) destination
+function createVADNode(streamSource, origin) {
+    const node = new AudioWorkletNode(
+        state.audioContext, 
+        'vad-processor',
+        {
+            processorOptions: { ...state.vadSettings }
+        }
+    );
+    
+    // Listen for VAD events and command replies
+    node.port.onmessage = (event) => {
+        if (event.data.requestId !== undefined) {
+            // Reply to a command sent with sendVADCommand()
+            handleVADReply(event.data);
+        } else {
+            // Handle standard VAD events
+            handleVADEvent(event, origin);
+        }
+    };
+    
+    streamSource.connect(node);
+    node.connect(state.audioContext.destination);
+    return node;
+}
+
+// Enable the stop button of the running capture source (null = idle)
+function setCaptureButtons(source) {
+    els.startShareBtn.disabled = source !== null;
+    els.stopShareBtn.disabled = source !== 'screen';
+    els.startMicBtn.disabled = source !== null;
+    els.stopMicBtn.disabled = source !== 'mic';
+    if (els.micDeviceSelect) els.micDeviceSelect.disabled = source !== null;
+    if (els.includeMicCheckbox) els.includeMicCheckbox.disabled = source !== null;
+    if (source !== null) {
+        els.transcribeFileBtn.disabled = true;
+        els.copyBtn.disabled = true;
+        els.downloadBtn.disabled = true;
+    }
+}
+
+// Fill the input picker, keeping the current or remembered choice
+async function refreshMicDevices() {
+    if (!els.micDeviceSelect || !navigator.mediaDevices?.enumerateDevices) return;
+    
+    try {
+        const devices = (await navigator.mediaDevices.enumerateDevices())
+            .filter(device => device.kind === 'audioinput');
+        const selected = els.micDeviceSelect.value || localStorage.getItem(MIC_DEVICE_STORAGE_KEY) || '';
+        
+        els.micDeviceSelect.innerHTML = '';
+        els.micDeviceSelect.appendChild(new Option('Default microphone', ''));
+        devices.forEach((device, i) => {
+            if (!device.deviceId || device.deviceId === 'default') return;
+            els.micDeviceSelect.appendChild(new Option(device.label || `Microphone ${i + 1}`, device.deviceId));
+        });
+        
+        const available = devices.some(device => device.deviceId === selected);
+        els.micDeviceSelect.value = available ? selected : '';
+    } catch (error) {
+        console.warn('Could not list microphones:', error);
     }
 }
 
-function cleanupScreenShare() {
-    console.log('\n🛑 Stopping screen share...');
+function cleanupCapture() {
+    console.log('\n🛑 Stopping capture...');
+    
+    // Before the context closes, so the recorder gets its last chunk
+    stopMeetingRecording();
     
     // Stop audio context
-    if (state.audioWorkletNode) {
-        state.audioWorkletNode.disconnect();
-        state.audioWorkletNode = null;
+    rejectPendingVADCommands('Audio capture stopped');
+    for (const key of ['audioWorkletNode', 'localWorkletNode']) {
+        if (state[key]) {
+            state[key].port.onmessage = null;
+            state[key].disconnect();
+            state[key] = null;
+        }
     }
+    resetVADTelemetry(false);
     
     if (state.audioContext) {
         state.audioContext.close().catch(err => console.warn('Failed to close AudioContext:', err));
@@ -1423,18 +3448,20 @@ function cleanupScreenShare() {
     }
     
     // Stop media tracks
-    if (state.shareStream) {
-        state.shareStream.getTracks().forEach(track => track.stop());
-        state.shareStream = null;
+    for (const key of ['captureStream', 'localStream']) {
+        if (state[key]) {
+            state[key].getTracks().forEach(track => track.stop());
+            state[key] = null;
+        }
     }
     
     // Reset state (keep utterances and speakers for review)
     state.isSpeaking = false;
     state.isLiveTranscribing = false;
+    state.captureSource = null;
     
     // Update UI
-    els.startShareBtn.disabled = false;
-    els.stopShareBtn.disabled = true;
+    setCaptureButtons(null);
     if (state.selectedFile && state.transcriber && !isAnyOperationInProgress()) {
         els.transcribeFileBtn.disabled = false;
     }
@@ -1444,10 +3471,21 @@ function cleanupScreenShare() {
     console.log(`📊 Final stats: ${state.utterances.length} utterances, ${state.speakers.length} speakers`);
 }
 
-function stopScreenShare() {
+async function stopCapture() {
     console.log('\n🛑 Stopping recording...');
     
-    cleanupScreenShare();
+    els.stopShareBtn.disabled = true;
+    els.stopMicBtn.disabled = true;
+    if (state.audioWorkletNode) {
+        await logVADPerformance();
+    }
+    cleanupCapture();
+    
+    // Speech still waiting for Whisper belongs in the transcript (and the summary)
+    if (state.utteranceQueue.length > 0) {
+        setStatus(`⏳ Transcribing ${state.utteranceQueue.length} queued utterance(s)...`, true);
+    }
+    await waitForUtteranceQueue();
     setStatus('✓ Recording stopped', false);
     
     console.log('✅ Recording stopped, transcript ready');
@@ -1464,24 +3502,38 @@ function stopScreenShare() {
 }
 
 // Event handlers
-function handleFileSelect(e) {
-    const file = e.target.files[0];
+async function handleFileSelect(e) {
+    const files = Array.from(e.target.files);
+    if (files.length > 1) {
+        enqueueFiles(files);
+        e.target.value = '';
+        return;
+    }
+    
+    const file = files[0];
     if (!file) {
         state.selectedFile = null;
+        state.fileCheckpoint = null;
+        hideFilePreview();
         els.fileName.textContent = 'No file selected';
         els.transcribeFileBtn.disabled = true;
         return;
     }
     
     try {
-        validateFile(file);
+        validateFile(file, await detectStreamableFormat(file) !== null);
         state.selectedFile = file;
+        state.fileCheckpoint = await findFileCheckpoint(file);
         els.fileName.textContent = file.name + ' (' +
             Math.round(file.size / 1024 / 1024 * 10) / 10 + ' MB)';
+        if (state.fileCheckpoint) {
+            els.fileName.textContent += ` · ⏸️ interrupted at ${formatTimestamp(state.fileCheckpoint.lastSegmentAt)}, can resume`;
+        }
         els.transcript.innerHTML = '';
         state.currentTranscript = '';
         els.copyBtn.disabled = true;
         els.downloadBtn.disabled = true;
+        loadFilePreview(file);
         
         if (state.transcriber && !isAnyOperationInProgress()) {
             els.transcribeFileBtn.disabled = false;
@@ -1494,6 +3546,8 @@ function handleFileSelect(e) {
     } catch (err) {
         showAlert(err.message, 'error');
         state.selectedFile = null;
+        state.fileCheckpoint = null;
+        hideFilePreview();
         els.fileName.textContent = 'No file selected';
         els.transcribeFileBtn.disabled = true;
     }
@@ -1548,17 +3602,111 @@ function handleDownload() {
     URL.revokeObjectURL(url);
 }
 
+// Subtitles with one cue per utterance segment, timed on the recording
+function handleDownloadSubtitles(format) {
+    if (state.utterances.length === 0) return;
+    
+    const cues = [];
+    for (const utt of state.utterances) {
+        // Meetings saved before segments existed derive them from the words
+        const segments = utt.segments || buildSegments(utt.chunks || [], utt.text, utt.duration);
+        for (const segment of segments) {
+            const start = utt.timestamp + segment.timestamp[0];
+            cues.push({
+                start,
+                end: Math.max(utt.timestamp + segment.timestamp[1], start + 0.5),
+                speaker: toSubtitleLine(utt.speaker.name),
+                text: toSubtitleLine(segment.text)
+            });
+        }
+    }
+    
+    let content;
+    if (format === 'vtt') {
+        content = 'WEBVTT\n\n' + cues.map(cue =>
+            `${formatSubtitleTime(cue.start, '.')} --> ${formatSubtitleTime(cue.end, '.')}\n<v ${escapeVttText(cue.speaker)}>${escapeVttText(cue.text)}`
+        ).join('\n\n') + '\n';
+    } else {
+        content = cues.map((cue, i) =>
+            `${i + 1}\n${formatSubtitleTime(cue.start, ',')} --> ${formatSubtitleTime(cue.end, ',')}\n${cue.speaker}: ${cue.text}`
+        ).join('\n\n') + '\n';
+    }
+    
+    const mimeType = format === 'vtt' ? 'text/vtt' : 'application/x-subrip';
+    downloadFile(content, 'transcript_' + new Date().toISOString().slice(0, 19).replace(/:/g, '-') + '.' + format, mimeType);
+}
+
+// One line of cue text: a newline would end the cue early and "-->" would
+// read as a timing line, so both become spaces
+function toSubtitleLine(text) {
+    return String(text || '').replace(/\s*(-->|[\r\n])+\s*/g, ' ').trim();
+}
+
+// WebVTT cue text is markup: <, > and & must be entities
+function escapeVttText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// 01:02:03,456 (SRT) / 01:02:03.456 (WebVTT)
+function formatSubtitleTime(seconds, separator) {
+    const ms = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
 // Initialize event listeners
 function initializeApp() {
     els.selectFileBtn.addEventListener('click', () => els.fileInput.click());
     els.fileInput.addEventListener('change', handleFileSelect);
     els.modelSelect.addEventListener('change', handleModelChange);
     els.transcribeFileBtn.addEventListener('click', transcribeSelectedFile);
+    if (els.cancelTranscriptionBtn) {
+        els.cancelTranscriptionBtn.addEventListener('click', cancelTranscription);
+    }
+    if (els.fileDropZone) {
+        els.fileDropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            els.fileDropZone.classList.add('drag-over');
+        });
+        els.fileDropZone.addEventListener('dragleave', (e) => {
+            if (!els.fileDropZone.contains(e.relatedTarget)) {
+                els.fileDropZone.classList.remove('drag-over');
+            }
+        });
+        els.fileDropZone.addEventListener('drop', handleFileDrop);
+        els.fileQueueList.addEventListener('click', handleFileQueueClick);
+        els.clearFileQueueBtn.addEventListener('click', clearFinishedFileJobs);
+    }
+    if (els.filePreview) {
+        els.filePreviewWave.addEventListener('pointerdown', handleFilePreviewPointerDown);
+        els.rangeStartInput.addEventListener('change', handleFileRangeInput);
+        els.rangeEndInput.addEventListener('change', handleFileRangeInput);
+        els.rangeResetBtn.addEventListener('click', () => {
+            state.fileRange = null;
+            renderFileRange();
+        });
+        window.addEventListener('resize', drawFilePreview);
+    }
     els.startShareBtn.addEventListener('click', startScreenShare);
-    els.stopShareBtn.addEventListener('click', stopScreenShare);
+    els.stopShareBtn.addEventListener('click', stopCapture);
+    els.startMicBtn.addEventListener('click', startMicCapture);
+    els.stopMicBtn.addEventListener('click', stopCapture);
+    if (els.micDeviceSelect) {
+        els.micDeviceSelect.addEventListener('change', () => {
+            localStorage.setItem(MIC_DEVICE_STORAGE_KEY, els.micDeviceSelect.value);
+        });
+        navigator.mediaDevices?.addEventListener?.('devicechange', refreshMicDevices);
+        refreshMicDevices();
+    }
     els.copyBtn.addEventListener('click', handleCopy);
     els.downloadBtn.addEventListener('click', handleDownload);
+    els.downloadSrtBtn.addEventListener('click', () => handleDownloadSubtitles('srt'));
+    els.downloadVttBtn.addEventListener('click', () => handleDownloadSubtitles('vtt'));
     els.saveMeetingBtn.addEventListener('click', saveCurrentMeeting);
+    els.transcript.addEventListener('click', handleTranscriptClick);
+    if (els.meetingAudioPlayer) {
+        els.meetingAudioPlayer.addEventListener('timeupdate', highlightPlayingUtterance);
+    }
     els.historyBtn.addEventListener('click', toggleMeetingsHistory);
     els.closeSidebarBtn.addEventListener('click', toggleMeetingsHistory);
     
@@ -1658,6 +3806,36 @@ function initializeApp() {
         });
     }
     
+    // VAD settings panel
+    loadVADSettings();
+    renderVADSettings();
+    document.querySelectorAll('[data-vad-setting]').forEach(input => {
+        input.addEventListener('change', handleVADSettingChange);
+    });
+    if (els.resetVADSettingsBtn) {
+        els.resetVADSettingsBtn.addEventListener('click', resetVADSettings);
+    }
+    if (els.recalibrateVADBtn) {
+        els.recalibrateVADBtn.addEventListener('click', recalibrateVAD);
+    }
+    
+    // Audio clean-up panel
+    loadPreprocessSettings();
+    renderPreprocessSettings();
+    document.querySelectorAll('[data-preprocess-setting]').forEach(input => {
+        input.addEventListener('change', handlePreprocessSettingChange);
+    });
+    if (els.resetPreprocessBtn) {
+        els.resetPreprocessBtn.addEventListener('click', resetPreprocessSettings);
+    }
+    
+    // Auto-detect language subset
+    loadDetectLanguages();
+    renderDetectLanguages();
+    if (els.detectLanguagesList) {
+        els.detectLanguagesList.addEventListener('change', handleDetectLanguagesChange);
+    }
+    
     // Live transcription mode toggle
     if (els.toggleLiveMode) {
         els.toggleLiveMode.addEventListener('change', (e) => {
@@ -1678,75 +3856,51 @@ function initializeApp() {
     
     // Cleanup on page unload
     window.addEventListener('beforeunload', () => {
-        cleanupScreenShare();
+        cleanupCapture();
         cleanupAudioContexts();
     });
     
-    // Wait for transformers.js to be ready, then auto-load model
-    let attempts = 0;
-    const maxAttempts = 40; // 20 seconds max (increased from 10)
-    
-    const checkAndLoad = () => {
-        attempts++;
-        
-        if (initTransformers()) {
-            console.log('✓ Transformers.js initialized successfully');
-            console.log('✓ About to call preloadAllModels()...');
-            
-            setStatus('Starting to preload all models...', true);
-            els.progressText.textContent = 'This will take 3-5 minutes on first load. All models will be cached for instant use later.';
-            
-            // Call preloadAllModels
-            preloadAllModels().then(() => {
-                console.log('✓ preloadAllModels() completed successfully');
-            }).catch(err => {
-                console.error('❌ Preload failed:', err);
-                console.error('Error details:', err.stack);
-                setStatus('Model preload failed. Click "Load Model" to retry.', false);
-                els.progressText.textContent = '';
-                
-                // Show error on startup screen
-                if (els.startupProgressText) {
-                    els.startupProgressText.textContent = `Error: ${err.message}`;
-                }
-                
-                if (els.loadModelBtn) {
-                    els.loadModelBtn.style.display = 'inline-block';
-                }
-            });
-        } else if (attempts < maxAttempts) {
-            console.log(`Waiting for transformers.js... (attempt ${attempts}/${maxAttempts})`);
-            setStatus('Loading AI library...', true);
-            
-            // Update startup screen
-            if (els.startupProgressText) {
-                els.startupProgressText.textContent = `Loading AI library... (attempt ${attempts}/${maxAttempts})`;
-            }
-            
-            setTimeout(checkAndLoad, 500);
-        } else {
-            console.error('❌ Transformers.js failed to load after 20 seconds');
-            console.log('Final check - window keys:', Object.keys(window).filter(k => k.toLowerCase().includes('transform')));
-            
-            setStatus('Failed to load library. Click "Load Model" to retry.', false);
-            showAlert('Failed to load Transformers.js library. Please check your internet connection and refresh.', 'error');
+    // Start the model worker, then auto-load models. The worker imports
+    // transformers.js itself, so a blocked CDN fails the preload below
+    if (initModelWorker()) {
+        console.log('✓ Model worker initialized successfully');
+        console.log('✓ About to call preloadAllModels()...');
+        
+        setStatus('Starting to preload all models...', true);
+        els.progressText.textContent = 'This will take 3-5 minutes on first load. All models will be cached for instant use later.';
+        
+        // Call preloadAllModels
+        preloadAllModels().then(() => {
+            console.log('✓ preloadAllModels() completed successfully');
+        }).catch(err => {
+            console.error('❌ Preload failed:', err);
+            console.error('Error details:', err.stack);
+            setStatus('Model preload failed. Click "Load Model" to retry.', false);
+            els.progressText.textContent = '';
             
-            // Update startup screen with error
-            if (els.startupModelName) {
-                els.startupModelName.textContent = '❌ Failed to Load AI Library';
-            }
+            // Show error on startup screen
             if (els.startupProgressText) {
-                els.startupProgressText.textContent = 'Transformers.js library failed to load. Please refresh the page.';
+                els.startupProgressText.textContent = `Error: ${err.message}`;
             }
             
             if (els.loadModelBtn) {
                 els.loadModelBtn.style.display = 'inline-block';
             }
+        });
+    } else {
+        console.error('❌ Model worker could not be started');
+        
+        setStatus('Failed to start AI worker.', false);
+        showAlert('This browser cannot run the transcription worker. Please use a recent Chrome, Edge, Firefox or Safari.', 'error');
+        
+        // Update startup screen with error
+        if (els.startupModelName) {
+            els.startupModelName.textContent = '❌ Failed to Load AI Library';
         }
-    };
-    
-    // Start checking after script has had time to execute
-    setTimeout(checkAndLoad, 500);
+        if (els.startupProgressText) {
+            els.startupProgressText.textContent = 'Web Workers are not available. Please use a recent browser.';
+        }
+    }
 }
 
 
@@ -1755,7 +3909,7 @@ function initializeApp() {
 // Initialize IndexedDB
 async function initMeetingDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('TranscriptMeetings', 2); // Increment version for new store
+        const request = indexedDB.open('TranscriptMeetings', 4); // Increment version for new store
         
         request.onerror = () => {
             console.error('Failed to open IndexedDB:', request.error);
@@ -1785,26 +3939,51 @@ async function initMeetingDB() {
                 modelStore.createIndex('cachedAt', 'cachedAt', { unique: false });
                 console.log('📦 Created aiModels cache store');
             }
+            
+            // Meeting recordings, kept apart so listing meetings never loads audio
+            if (!db.objectStoreNames.contains('meetingAudio')) {
+                db.createObjectStore('meetingAudio', { keyPath: 'meetingId' });
+                console.log('📦 Created meetingAudio store');
+            }
+            
+            // Progress of file transcriptions, so a reload can resume them
+            if (!db.objectStoreNames.contains('fileCheckpoints')) {
+                db.createObjectStore('fileCheckpoints', { keyPath: 'fingerprint' });
+                console.log('📦 Created fileCheckpoints store');
+            }
         };
     });
 }
 
 // Save meeting to IndexedDB
-async function saveMeetingToDB(meeting) {
+async function saveMeetingToDB(meeting, audio = null) {
     if (!state.meetingDB) await initMeetingDB();
     
+    // One transaction: a quota error leaves neither the meeting nor its audio
     return new Promise((resolve, reject) => {
-        const transaction = state.meetingDB.transaction(['meetings'], 'readwrite');
-        const store = transaction.objectStore('meetings');
-        const request = store.put(meeting);
+        const transaction = state.meetingDB.transaction(['meetings', 'meetingAudio'], 'readwrite');
+        transaction.objectStore('meetings').put(meeting);
+        if (audio) {
+            transaction.objectStore('meetingAudio').put({
+                meetingId: meeting.id,
+                blob: audio.blob,
+                offset: audio.offset,
+                firstUtterance: audio.firstUtterance || 0,
+                endUtterance: audio.endUtterance,
+                savedAt: Date.now()
+            });
+        }
         
-        request.onsuccess = () => {
+        transaction.oncomplete = () => {
             console.log('💾 Meeting saved:', meeting.title);
+            if (audio) {
+                console.log(`💾 Meeting audio saved (${(audio.blob.size / 1024 / 1024).toFixed(1)}MB)`);
+            }
             resolve();
         };
-        request.onerror = () => {
-            console.error('Failed to save meeting:', request.error);
-            reject(request.error);
+        transaction.onabort = () => {
+            console.error('Failed to save meeting:', transaction.error);
+            reject(transaction.error || new Error('Saving the meeting was aborted'));
         };
     });
 }
@@ -1837,26 +4016,131 @@ async function loadMeetingsFromDB() {
     });
 }
 
-// Delete meeting from IndexedDB
+// Delete meeting (and its audio) from IndexedDB
 async function deleteMeetingFromDB(id) {
     if (!state.meetingDB) await initMeetingDB();
     
     return new Promise((resolve, reject) => {
-        const transaction = state.meetingDB.transaction(['meetings'], 'readwrite');
-        const store = transaction.objectStore('meetings');
-        const request = store.delete(id);
+        const transaction = state.meetingDB.transaction(['meetings', 'meetingAudio'], 'readwrite');
+        transaction.objectStore('meetings').delete(id);
+        transaction.objectStore('meetingAudio').delete(id);
         
-        request.onsuccess = () => {
+        transaction.oncomplete = () => {
             console.log('🗑️ Meeting deleted:', id);
             resolve();
         };
+        transaction.onerror = () => {
+            console.error('Failed to delete meeting:', transaction.error);
+            reject(transaction.error);
+        };
+    });
+}
+
+// Load a meeting's recording from IndexedDB (null if it has none)
+async function loadMeetingAudioFromDB(meetingId) {
+    if (!state.meetingDB) await initMeetingDB();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = state.meetingDB.transaction(['meetingAudio'], 'readonly');
+        const store = transaction.objectStore('meetingAudio');
+        const request = store.get(meetingId);
+        
+        request.onsuccess = () => {
+            const record = request.result;
+            resolve(record ? {
+                blob: record.blob,
+                offset: record.offset,
+                firstUtterance: record.firstUtterance || 0,
+                endUtterance: record.endUtterance,
+                saved: true
+            } : null);
+        };
+        request.onerror = () => {
+            console.error('Failed to load meeting audio:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+// Save a file transcription checkpoint (one per file, replaced as it advances)
+async function saveFileCheckpointToDB(checkpoint) {
+    if (!state.meetingDB) await initMeetingDB();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = state.meetingDB.transaction(['fileCheckpoints'], 'readwrite');
+        const store = transaction.objectStore('fileCheckpoints');
+        const request = store.put({ ...checkpoint, updatedAt: Date.now() });
+        
+        request.onsuccess = () => resolve();
+        request.onerror = () => {
+            console.error('Failed to save checkpoint:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+// Load the checkpoint of a file fingerprint (null if it has none)
+async function loadFileCheckpointFromDB(fingerprint) {
+    if (!state.meetingDB) await initMeetingDB();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = state.meetingDB.transaction(['fileCheckpoints'], 'readonly');
+        const store = transaction.objectStore('fileCheckpoints');
+        const request = store.get(fingerprint);
+        
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => {
+            console.error('Failed to load checkpoint:', request.error);
+            reject(request.error);
+        };
+    });
+}
+
+// Delete a file's checkpoint once its transcription completes
+async function deleteFileCheckpointFromDB(fingerprint) {
+    if (!state.meetingDB) await initMeetingDB();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = state.meetingDB.transaction(['fileCheckpoints'], 'readwrite');
+        const request = transaction.objectStore('fileCheckpoints').delete(fingerprint);
+        
+        request.onsuccess = () => {
+            console.log('🗑️ Checkpoint deleted:', fingerprint);
+            resolve();
+        };
         request.onerror = () => {
-            console.error('Failed to delete meeting:', request.error);
+            console.error('Failed to delete checkpoint:', request.error);
             reject(request.error);
         };
     });
 }
 
+// Identifies a file across reloads without reading all of it:
+// name, size, modification time and a SHA-256 of its first and last MB
+async function fileFingerprint(file) {
+    const edge = 1024 * 1024;
+    const head = new Uint8Array(await file.slice(0, edge).arrayBuffer());
+    const tail = new Uint8Array(await file.slice(Math.max(edge, file.size - edge)).arrayBuffer());
+    
+    const bytes = new Uint8Array(head.length + tail.length);
+    bytes.set(head);
+    bytes.set(tail, head.length);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    const hash = Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+    
+    return `${file.name}|${file.size}|${file.lastModified}|${hash}`;
+}
+
+// Checkpoint left by an interrupted transcription of this file, if any
+async function findFileCheckpoint(file) {
+    try {
+        return await loadFileCheckpointFromDB(await fileFingerprint(file));
+    } catch (err) {
+        console.warn('⚠️ Could not look up checkpoint:', err);
+        return null;
+    }
+}
+
 // Generate unique meeting ID
 function generateMeetingId() {
     return `meeting_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -1886,19 +4170,38 @@ async function saveCurrentMeeting() {
         return;
     }
     
-    // Update meeting data
-    state.currentMeeting.endTime = Date.now();
-    state.currentMeeting.speakers = state.speakers;
-    state.currentMeeting.utterances = state.utterances;
-    
     try {
-        await saveMeetingToDB(state.currentMeeting);
+        await persistCurrentMeeting();
         showAlert(`💾 Meeting saved: "${state.currentMeeting.title}"`);
     } catch (error) {
         showAlert(`Failed to save meeting: ${error.message}`);
     }
 }
 
+// Write the current meeting (and its audio, once) to IndexedDB
+async function persistCurrentMeeting() {
+    state.currentMeeting.endTime = Date.now();
+    state.currentMeeting.speakers = state.speakers;
+    state.currentMeeting.utterances = state.utterances;
+    state.currentMeeting.intelligence = state.meetingIntelligence;
+    
+    let audio = state.meetingAudio && !state.meetingAudio.saved ? state.meetingAudio : null;
+    const audioMB = audio ? audio.blob.size / 1024 / 1024 : 0;
+    if (audioMB > MAX_MEETING_AUDIO_MB) {
+        // Multi-GB uploads would exhaust the storage quota; warn once
+        showAlert(`⚠️ "${state.currentMeeting.title}": audio not stored (${audioMB.toFixed(0)}MB, limit ${MAX_MEETING_AUDIO_MB}MB). ` +
+            'The transcript is saved without playback.', 'warning');
+        audio.saved = true;
+        audio.tooLarge = true;
+        audio = null;
+    }
+    
+    await saveMeetingToDB(state.currentMeeting, audio);
+    if (audio) {
+        audio.saved = true;
+    }
+}
+
 // Toggle meeting history sidebar
 function toggleMeetingsHistory() {
     const sidebar = document.getElementById('meetingsSidebar');
@@ -1934,7 +4237,7 @@ async function refreshMeetingsHistory() {
             
             return `
                 <div class="meeting-card" onclick="loadMeeting('${meeting.id}')">
-                    <div class="meeting-card-title">${meeting.title}</div>
+                    <div class="meeting-card-title">${escapeHtml(meeting.title)}</div>
                     <div class="meeting-card-meta">
                         <div>${date}</div>
                         <div style="margin-top: 0.25rem;">
@@ -1990,9 +4293,14 @@ async function loadMeeting(id) {
         state.currentMeeting = meeting;
         state.utterances = meeting.utterances || [];
         state.speakers = meeting.speakers || [];
+        setMeetingAudio(await loadMeetingAudioFromDB(id));
+        if (meeting.intelligence) {
+            state.meetingIntelligence = meeting.intelligence;
+        }
         
         // Update display
         updateDiarizedTranscript();
+        updateIntelligenceDisplay();
         
         // Close sidebar
         toggleMeetingsHistory();
@@ -2052,13 +4360,13 @@ async function loadIntelligenceModels() {
     console.log('='.repeat(60));
     
     try {
-        // Check if transformers.js is available
-        console.log('Step 1: Checking Transformers.js availability...');
-        if (!pipeline || !env) {
-            console.error('❌ Transformers.js not initialized');
-            throw new Error('Transformers.js not initialized. Please refresh the page.');
+        // Check that the model worker is running
+        console.log('Step 1: Checking model worker...');
+        if (!initModelWorker()) {
+            console.error('❌ Model worker not available');
+            throw new Error('Model worker could not be started. Please refresh the page.');
         }
-        console.log('✅ Transformers.js is available');
+        console.log('✅ Model worker is running');
         
         // Update UI - show loading state
         showAlert('🔄 Loading DistilBART AI model (268MB)... This may take 2-5 minutes on first load.', 'warning');
@@ -2085,7 +4393,7 @@ async function loadIntelligenceModels() {
         
         const startTime = Date.now();
         
-        state.aiModels.summarizer = await pipeline(
+        state.aiModels.summarizer = await loadWorkerPipeline(
             'summarization',
             modelId,
             {
@@ -2182,6 +4490,10 @@ function areAIModelsAvailable() {
 function unloadIntelligenceModels() {
     console.log('🗑️ Unloading AI models to free memory...');
     
+    // The weights live in the model worker
+    state.aiModels.summarizer?.dispose().catch(err => {
+        console.warn('Failed to unload summarizer:', err);
+    });
     state.aiModels.summarizer = null;
     state.aiModels.classifier = null;
     state.aiModels.modelsLoaded = false;
@@ -2606,12 +4918,17 @@ async function enableLiveTranscription(enable) {
     if (enable) {
         console.log('🔴 Starting live transcription mode...');
         
-        // Tell VAD to start buffering
+        // Tell VAD to start buffering (startVADCapture() does this if capture isn't running yet)
         if (state.audioWorkletNode) {
-            state.audioWorkletNode.port.postMessage({
-                type: 'enable_live_mode',
-                enabled: true
-            });
+            try {
+                await sendVADCommand('enable_live_mode', { enabled: true });
+            } catch (error) {
+                console.error('Failed to enable live mode in VAD:', error);
+                showAlert('Could not start live captions: ' + error.message);
+                state.liveTranscription.enabled = false;
+                if (els.toggleLiveMode) els.toggleLiveMode.checked = false;
+                return;
+            }
         }
         
         // Start snapshot loop
@@ -2636,11 +4953,10 @@ async function enableLiveTranscription(enable) {
         
         // Tell VAD to stop buffering
         if (state.audioWorkletNode) {
-            state.audioWorkletNode.port.postMessage({
-                type: 'enable_live_mode',
-                enabled: false
-            });
+            sendVADCommand('enable_live_mode', { enabled: false })
+                .catch(err => console.warn('Failed to disable live mode:', err));
         }
+        if (els.toggleLiveMode) els.toggleLiveMode.checked = false;
         
         // Clean up
         state.liveTranscription.lastDisplayedText = '';
@@ -2655,19 +4971,34 @@ async function enableLiveTranscription(enable) {
 /**
  * Request snapshot from VAD processor
  */
-function requestSnapshot() {
+async function requestSnapshot() {
     // Skip if already processing
     if (state.liveTranscription.isProcessing) {
         console.log('⏭️ Skipping snapshot, still processing');
         return;
     }
     
-    // Request snapshot from VAD
-    if (state.audioWorkletNode) {
-        state.audioWorkletNode.port.postMessage({
-            type: 'get_snapshot',
+    // Nothing to snapshot until capture is running
+    if (!state.audioWorkletNode) return;
+    
+    // The preview only adds load while utterances are waiting for Whisper
+    if (state.utteranceQueue.length > 0) {
+        console.log('⏭️ Skipping snapshot, utterances queued');
+        return;
+    }
+    
+    // Hold the flag across the round trip so interval ticks don't pile up
+    state.liveTranscription.isProcessing = true;
+    
+    try {
+        const snapshot = await sendVADCommand('get_snapshot', {
             duration: LIVE_CONFIG.snapshotDuration
         });
+        await handleSnapshotReady(snapshot.audio, snapshot.timestamp);
+    } catch (error) {
+        console.log('⏭️ Snapshot unavailable:', error.message);
+    } finally {
+        state.liveTranscription.isProcessing = false;
     }
 }
 
@@ -2675,22 +5006,19 @@ function requestSnapshot() {
  * Handle snapshot ready from VAD
  */
 async function handleSnapshotReady(audio, timestamp) {
-    // Quality check
-    const rms = calculateRMS(audio);
-    if (rms < LIVE_CONFIG.minRMS) {
+    // Quality check: with normalisation on, quiet speakers get boosted rather than skipped
+    const prepared = preprocessAudio(audio, VAD_CONFIG.sampleRate, state.preprocessSettings);
+    const tooQuiet = prepared.steps.includes('normalize')
+        ? prepared.loudness < LIVE_CONFIG.minLoudness
+        : calculateRMS(audio) < LIVE_CONFIG.minRMS;
+    if (tooQuiet || prepared.samples.length === 0) {
         console.log('⏭️ Snapshot too quiet, skipping');
         updateLiveDisplay(''); // Clear if silence
         return;
     }
     
     // Process snapshot
-    state.liveTranscription.isProcessing = true;
-    
-    try {
-        await processLiveSnapshot(audio, timestamp);
-    } finally {
-        state.liveTranscription.isProcessing = false;
-    }
+    await processLiveSnapshot(prepared.samples, timestamp + prepared.offset);
 }
 
 /**
@@ -2708,7 +5036,8 @@ async function processLiveSnapshot(audioFloat32, timestamp) {
         // FAST transcription settings
         const language = els.languageSelect ? els.languageSelect.value : null;
         const options = {
-            task: 'transcribe',
+            // Captions show the original in 'both'; its English comes with the utterance
+            task: getTaskMode() === TASK_MODES.translate ? 'translate' : 'transcribe',
             
             // Speed optimizations
             condition_on_previous_text: false,
@@ -2725,7 +5054,8 @@ async function processLiveSnapshot(audioFloat32, timestamp) {
             options.language = language;
         }
         
-        const output = await tinyModel(audioFloat32, options);
+        const signal = state.transcriptionAbort.signal;
+        const output = await tinyModel(audioFloat32, { ...options, signal });
         
         const text = output.text?.trim() || '';
         
@@ -2749,6 +5079,7 @@ async function processLiveSnapshot(audioFloat32, timestamp) {
         pruneSnapshotCache();
         
     } catch (error) {
+        if (error.name === 'AbortError') return; // Cancel button
         console.error('Live snapshot error:', error);
     }
 }
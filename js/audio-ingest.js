@@ -0,0 +1,366 @@
+// ==================== AUDIO INGESTION ====================
+// Decodes uploaded files and recorded blobs into 16 kHz mono tracks for
+// Whisper and the VAD. Loaded before app.js (plain script, shared globals).
+
+const INGEST_SAMPLE_RATE = 16000;
+
+// How multi-channel recordings become the track(s) we transcribe
+const CHANNEL_MODES = {
+    downmix: 'downmix',   // Average all channels into one track
+    channel: 'channel',   // Keep a single channel (options.channel, 0 = left)
+    split: 'split'        // One track per channel, each its own speaker
+};
+
+// STREAMING: Long recordings are decoded a window at a time so the whole
+// PCM never sits in memory. WAV and MP3 can be cut at byte offsets; other
+// containers (m4a, webm, video) need the whole file in one decode
+const STREAM_WINDOW_SECONDS = 300;            // WAV: 5 minutes of audio per window
+const MP3_WINDOW_BYTES = 8 * 1024 * 1024;     // MP3: ~9 minutes at 128 kbps
+const MP3_WINDOW_OVERLAP_BYTES = 16 * 1024;   // Decoded on both sides of a window, then dropped (~1s at 128 kbps)
+const MAX_STREAMING_FILE_SIZE_MB = 4096;
+const MP3_PROBE_BYTES = 512 * 1024;           // Decoded mid-file to measure the bitrate for seeking
+const WAVEFORM_PEAKS_PER_SECOND = 10;         // Preview envelope resolution
+
+// Decode a File/Blob and return mono 16 kHz tracks:
+// { tracks: [{ label, channel, samples }], duration, channelCount, sampleRate }
+// channel is null for a downmix. Errors always read "Failed to decode audio: ..."
+async function ingestAudio(blob, options = {}) {
+    const decoded = await decodeOrThrow(blob);
+    return {
+        tracks: extractTracks(decoded, options),
+        duration: decoded.duration,
+        channelCount: decoded.numberOfChannels,
+        sampleRate: INGEST_SAMPLE_RATE
+    };
+}
+
+// Decode a file window by window. Yields, in order:
+// { tracks, start, offset, duration, channelCount, progress (0-1), totalDuration }
+// totalDuration is exact for WAV and a bitrate estimate for MP3.
+// options.range = { start, end } (seconds) transcribes only that part; start
+// times stay relative to the whole file and progress to the range. WAV and
+// MP3 decode just the range (MP3 seeks by bitrate, so VBR ranges are
+// approximate); other formats are decoded whole, then trimmed.
+// options.from = { offset, start } of a yielded window restarts the stream
+// there (ignored for formats that need a whole-file decode)
+async function* streamAudio(blob, options = {}) {
+    const format = await detectStreamableFormat(blob);
+    
+    if (format === 'wav') {
+        yield* streamWav(blob, options);
+    } else if (format === 'mp3') {
+        yield* streamMp3(blob, options);
+    } else {
+        const ingested = await ingestAudio(blob, options);
+        const { start, end } = clampRange(options.range, ingested.duration);
+        const first = Math.floor(start * INGEST_SAMPLE_RATE);
+        const last = Math.ceil(end * INGEST_SAMPLE_RATE);
+        yield {
+            ...ingested,
+            tracks: ingested.tracks.map(track => ({ ...track, samples: track.samples.subarray(first, last) })),
+            start: first / INGEST_SAMPLE_RATE,
+            offset: 0,
+            duration: (last - first) / INGEST_SAMPLE_RATE,
+            progress: 1,
+            totalDuration: ingested.duration
+        };
+    }
+}
+
+// Min/max envelope for a waveform preview, WAVEFORM_PEAKS_PER_SECOND pairs
+// per second of the downmix. Yields { min, max, start, totalDuration, progress }
+// per decoded window
+async function* streamWaveformPeaks(blob) {
+    const bucket = INGEST_SAMPLE_RATE / WAVEFORM_PEAKS_PER_SECOND;
+    
+    for await (const window of streamAudio(blob, { mode: CHANNEL_MODES.downmix })) {
+        const samples = window.tracks[0].samples;
+        const count = Math.ceil(samples.length / bucket);
+        const min = new Float32Array(count);
+        const max = new Float32Array(count);
+        
+        for (let b = 0; b < count; b++) {
+            let lo = 0, hi = 0;
+            const end = Math.min(samples.length, (b + 1) * bucket);
+            for (let i = b * bucket; i < end; i++) {
+                if (samples[i] < lo) lo = samples[i];
+                if (samples[i] > hi) hi = samples[i];
+            }
+            min[b] = lo;
+            max[b] = hi;
+        }
+        
+        yield { min, max, start: window.start, totalDuration: window.totalDuration, progress: window.progress };
+    }
+}
+
+// Range in seconds within duration; the whole file without one
+function clampRange(range, duration) {
+    const start = Math.max(0, Math.min(range?.start || 0, duration));
+    const end = Math.max(start, Math.min(range?.end ?? duration, duration));
+    return { start, end };
+}
+
+// 'wav' | 'mp3' | null (needs a whole-file decode), from the first bytes
+async function detectStreamableFormat(blob) {
+    const bytes = new Uint8Array(await blob.slice(0, 12).arrayBuffer());
+    const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+    
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+    if (ascii(0, 3) === 'ID3') return 'mp3';
+    // MPEG audio frame sync: 11 set bits, layer III
+    if (bytes[0] === 0xFF && (bytes[1] & 0xE6) === 0xE2) return 'mp3';
+    return null;
+}
+
+async function* streamWav(blob, options) {
+    const header = await readWavHeader(blob);
+    const bytesPerSecond = header.sampleRate * header.blockAlign;
+    const windowBytes = STREAM_WINDOW_SECONDS * bytesPerSecond;
+    const totalDuration = header.dataSize / bytesPerSecond;
+    
+    // Byte range on whole sample frames
+    const range = clampRange(options.range, totalDuration);
+    const toByte = seconds => Math.min(header.dataSize, Math.floor(seconds * header.sampleRate) * header.blockAlign);
+    const rangeStart = toByte(range.start);
+    const rangeEnd = toByte(range.end);
+    
+    for (let offset = options.from ? options.from.offset : rangeStart; offset < rangeEnd; offset += windowBytes) {
+        const end = Math.min(rangeEnd, offset + windowBytes);
+        const slice = blob.slice(header.dataOffset + offset, header.dataOffset + end);
+        const decoded = await decodeOrThrow(buildWavWindow(header, slice, end - offset));
+        
+        yield {
+            tracks: extractTracks(decoded, options),
+            start: offset / bytesPerSecond,
+            offset,
+            duration: decoded.duration,
+            channelCount: decoded.numberOfChannels,
+            progress: (end - rangeStart) / (rangeEnd - rangeStart),
+            totalDuration
+        };
+    }
+}
+
+// Layer III frames borrow bits from earlier frames (the bit reservoir), so a
+// byte slice decodes wrongly for its first frames and loses the frame cut at
+// its end. Each window is decoded with MP3_WINDOW_OVERLAP_BYTES more on both
+// sides and trimmed back to its own bytes. Start times, the total and range
+// seeks all come from the measured bitrate, so they don't drift with the
+// decoder padding of every window (VBR positions are approximate)
+async function* streamMp3(blob, options) {
+    const audioStart = await readId3Size(blob);
+    const bytesPerSecond = await measureMp3ByteRate(blob, audioStart);
+    const totalDuration = (blob.size - audioStart) / bytesPerSecond;
+    
+    const range = clampRange(options.range, totalDuration);
+    const toByte = seconds => Math.min(blob.size, audioStart + Math.floor(seconds * bytesPerSecond));
+    const rangeStart = toByte(range.start);
+    const rangeEnd = range.end < totalDuration ? toByte(range.end) : blob.size;
+    
+    // Checkpoints from before windows skipped the ID3 tag may point into it
+    const firstOffset = Math.max(audioStart, options.from ? options.from.offset : rangeStart);
+    for (let offset = firstOffset; offset < rangeEnd; offset += MP3_WINDOW_BYTES) {
+        const end = Math.min(rangeEnd, offset + MP3_WINDOW_BYTES);
+        const sliceStart = Math.max(audioStart, offset - MP3_WINDOW_OVERLAP_BYTES);
+        const sliceEnd = Math.min(blob.size, end + MP3_WINDOW_OVERLAP_BYTES);
+        const decoded = await decodeOrThrow(blob.slice(sliceStart, sliceEnd));
+        
+        // Samples of the window's own bytes, in proportion to the slice
+        const samplesPerByte = decoded.length / (sliceEnd - sliceStart);
+        const first = Math.round((offset - sliceStart) * samplesPerByte);
+        const last = sliceEnd === end ? decoded.length : Math.round((end - sliceStart) * samplesPerByte);
+        const tracks = extractTracks(decoded, options).map(track => ({ ...track, samples: track.samples.subarray(first, last) }));
+        
+        yield {
+            tracks,
+            start: (offset - audioStart) / bytesPerSecond,
+            offset,
+            duration: (last - first) / INGEST_SAMPLE_RATE,
+            channelCount: decoded.numberOfChannels,
+            progress: (end - rangeStart) / (rangeEnd - rangeStart),
+            totalDuration
+        };
+    }
+}
+
+// Bytes taken by a leading ID3v2 tag (cover art can be megabytes), 0 without one
+async function readId3Size(blob) {
+    const bytes = new Uint8Array(await blob.slice(0, 10).arrayBuffer());
+    if (String.fromCharCode(bytes[0], bytes[1], bytes[2]) !== 'ID3') return 0;
+    
+    // Syncsafe size (7 bits per byte) + header + optional footer
+    const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+    return 10 + size + (bytes[5] & 0x10 ? 10 : 0);
+}
+
+// Average bytes per second, from a slice decoded in the middle of the audio
+async function measureMp3ByteRate(blob, audioStart) {
+    const audioBytes = blob.size - audioStart;
+    const probeStart = audioStart + Math.max(0, Math.floor((audioBytes - MP3_PROBE_BYTES) / 2));
+    const probeEnd = Math.min(blob.size, probeStart + MP3_PROBE_BYTES);
+    const probe = await decodeOrThrow(blob.slice(probeStart, probeEnd));
+    return (probeEnd - probeStart) / probe.duration;
+}
+
+// Format and data chunk position of a RIFF/WAVE file
+async function readWavHeader(blob) {
+    let fmt = null;
+    let offset = 12;
+    
+    while (offset + 8 <= blob.size) {
+        const chunk = new DataView(await blob.slice(offset, offset + 8).arrayBuffer());
+        const id = String.fromCharCode(chunk.getUint8(0), chunk.getUint8(1), chunk.getUint8(2), chunk.getUint8(3));
+        const size = chunk.getUint32(4, true);
+        
+        if (id === 'fmt ') {
+            fmt = await blob.slice(offset + 8, offset + 8 + size).arrayBuffer();
+        } else if (id === 'data') {
+            if (!fmt) break;
+            const view = new DataView(fmt);
+            const blockAlign = view.getUint16(12, true);
+            // Streams written before their length was known say 0 or 0xFFFFFFFF
+            const available = blob.size - offset - 8;
+            const dataSize = size > 0 && size !== 0xFFFFFFFF ? Math.min(size, available) : available;
+            return {
+                fmt,
+                channels: view.getUint16(2, true),
+                sampleRate: view.getUint32(4, true),
+                blockAlign,
+                dataOffset: offset + 8,
+                dataSize: dataSize - dataSize % blockAlign
+            };
+        }
+        offset += 8 + size + (size % 2); // Chunks are word aligned
+    }
+    
+    throw new Error('Failed to decode audio: WAV file has no format or data chunk');
+}
+
+// Standalone WAV file for one window: original fmt chunk + a slice of the data
+function buildWavWindow(header, slice, length) {
+    const fmtSize = header.fmt.byteLength;
+    const head = new DataView(new ArrayBuffer(12 + 8 + 8));
+    const writeId = (at, id) => [...id].forEach((c, i) => head.setUint8(at + i, c.charCodeAt(0)));
+    
+    writeId(0, 'RIFF');
+    head.setUint32(4, 4 + 8 + fmtSize + 8 + length, true);
+    writeId(8, 'WAVE');
+    writeId(12, 'fmt ');
+    head.setUint32(16, fmtSize, true);
+    
+    const dataHead = new DataView(new ArrayBuffer(8));
+    [...'data'].forEach((c, i) => dataHead.setUint8(i, c.charCodeAt(0)));
+    dataHead.setUint32(4, length, true);
+    
+    return new Blob([head.buffer.slice(0, 20), header.fmt, dataHead.buffer, slice], { type: 'audio/wav' });
+}
+
+// decodeAudioBlob() with the module's error wording and an empty-audio check
+async function decodeOrThrow(blob) {
+    let decoded;
+    try {
+        decoded = await decodeAudioBlob(blob);
+    } catch (err) {
+        console.error('Audio decode error:', err);
+        throw new Error('Failed to decode audio: ' + (err.message || 'unsupported format'));
+    }
+    
+    if (decoded.length === 0) {
+        throw new Error('Failed to decode audio: the file contains no audio');
+    }
+    return decoded;
+}
+
+// Mono 16 kHz track(s) of a decoded buffer according to the channel mode
+function extractTracks(decoded, { mode = CHANNEL_MODES.downmix, channel = 0 } = {}) {
+    if (!Object.values(CHANNEL_MODES).includes(mode)) {
+        throw new Error(`Unknown channel mode: ${mode}`);
+    }
+    
+    const channelCount = decoded.numberOfChannels;
+    let tracks;
+    if (mode === CHANNEL_MODES.channel) {
+        if (channel >= channelCount) {
+            throw new Error(`Failed to decode audio: channel ${channel + 1} requested but the file has ${channelCount}`);
+        }
+        tracks = [{ label: channelLabel(channel, channelCount), channel, samples: new Float32Array(decoded.getChannelData(channel)) }];
+    } else if (mode === CHANNEL_MODES.split && channelCount > 1) {
+        tracks = [];
+        for (let c = 0; c < channelCount; c++) {
+            tracks.push({ label: channelLabel(c, channelCount), channel: c, samples: new Float32Array(decoded.getChannelData(c)) });
+        }
+    } else {
+        tracks = [{ label: 'Mix', channel: null, samples: downmixChannels(decoded) }];
+    }
+    return tracks;
+}
+
+// Decode to an AudioBuffer at 16 kHz, keeping every channel
+async function decodeAudioBlob(blob) {
+    let audioCtx = null;
+    try {
+        const arrayBuffer = await blob.arrayBuffer();
+        audioCtx = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: INGEST_SAMPLE_RATE });
+        state.audioContexts.push(audioCtx);
+        
+        const decoded = await audioCtx.decodeAudioData(arrayBuffer);
+        
+        // Some browsers decode at the file's own rate
+        if (decoded.sampleRate === INGEST_SAMPLE_RATE) {
+            return decoded;
+        }
+        console.log('Resampling from', decoded.sampleRate, 'to', INGEST_SAMPLE_RATE, 'Hz');
+        const offlineCtx = new OfflineAudioContext(
+            decoded.numberOfChannels,
+            Math.ceil(decoded.duration * INGEST_SAMPLE_RATE),
+            INGEST_SAMPLE_RATE
+        );
+        const source = offlineCtx.createBufferSource();
+        source.buffer = decoded;
+        source.connect(offlineCtx.destination);
+        source.start(0);
+        return await offlineCtx.startRendering();
+    } finally {
+        if (audioCtx) {
+            audioCtx.close().catch(err => console.warn('Failed to close AudioContext:', err));
+            state.audioContexts = state.audioContexts.filter(ctx => ctx !== audioCtx);
+        }
+    }
+}
+
+// Average of all channels: a participant panned hard to one side stays audible
+function downmixChannels(buffer) {
+    const mono = new Float32Array(buffer.getChannelData(0));
+    if (buffer.numberOfChannels === 1) return mono;
+    
+    for (let c = 1; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let i = 0; i < mono.length; i++) {
+            mono[i] += data[i];
+        }
+    }
+    const scale = 1 / buffer.numberOfChannels;
+    for (let i = 0; i < mono.length; i++) {
+        mono[i] *= scale;
+    }
+    return mono;
+}
+
+// Average already-extracted tracks (e.g. split tracks back into one)
+function mixTracks(tracks) {
+    if (tracks.length === 1) return tracks[0].samples;
+    
+    const mono = new Float32Array(tracks[0].samples.length);
+    for (const track of tracks) {
+        for (let i = 0; i < mono.length; i++) {
+            mono[i] += track.samples[i] / tracks.length;
+        }
+    }
+    return mono;
+}
+
+function channelLabel(channel, channelCount) {
+    if (channelCount === 2) return channel === 0 ? 'Left channel' : 'Right channel';
+    return `Channel ${channel + 1}`;
+}
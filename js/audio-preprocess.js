@@ -0,0 +1,314 @@
+// ==================== AUDIO PREPROCESSING ====================
+// Cleans up 16 kHz mono speech before it reaches Whisper: high-pass (also
+// removes DC), spectral-subtraction noise reduction, loudness normalisation
+// to a target LUFS and silence trimming. Used for file and live utterances
+// alike. Loaded before app.js (plain script, shared globals).
+
+const PREPROCESS_DEFAULTS = {
+    enabled: true,
+    highPass: true,
+    highPassHz: 80,             // Below the lowest voice fundamentals; removes hum rumble and DC
+    noiseReduction: false,
+    noiseReductionAmount: 1.5,  // Over-subtraction factor (1 = subtract the noise estimate once)
+    normalize: true,
+    targetLufs: -20,            // Integrated loudness Whisper hears
+    maxGainDb: 30,              // Never boost noise-only audio beyond this
+    trimSilence: true
+};
+
+const LOUDNESS_BLOCK_SECONDS = 0.4;     // BS.1770 gating block, 75% overlap
+const LOUDNESS_ABSOLUTE_GATE = -70;     // LUFS
+const LOUDNESS_RELATIVE_GATE = -10;     // LU below the ungated loudness
+const PEAK_CEILING = 0.98;              // Normalisation never clips past this
+const NOISE_FFT_SIZE = 512;             // 32 ms at 16 kHz, 50% hop
+const NOISE_PROFILE_QUANTILE = 0.1;     // Quietest 10% of frames estimate the noise
+const NOISE_SPECTRAL_FLOOR = 0.05;      // Keep 5% of each bin: avoids "musical noise"
+const TRIM_FRAME_SECONDS = 0.01;
+const TRIM_THRESHOLD_DB = -45;          // Below the loudest 10 ms frame
+const TRIM_PADDING_SECONDS = 0.15;      // Kept around the speech so onsets survive
+
+// Run the enabled steps over a copy of samples. Returns
+// { samples, offset (seconds trimmed from the start), loudness (LUFS before
+// normalisation, -Infinity for silence), gainDb, steps: [names applied] }
+function preprocessAudio(samples, sampleRate, settings = PREPROCESS_DEFAULTS) {
+    const result = { samples, offset: 0, loudness: null, gainDb: 0, steps: [] };
+    if (!settings.enabled || samples.length === 0) return result;
+    
+    let audio = new Float32Array(samples);
+    
+    if (settings.highPass) {
+        applyBiquad(audio, highPassCoefficients(settings.highPassHz, sampleRate));
+        result.steps.push('high-pass');
+    }
+    
+    if (settings.noiseReduction) {
+        audio = reduceNoise(audio, settings.noiseReductionAmount);
+        result.steps.push('noise reduction');
+    }
+    
+    result.loudness = measureLoudness(audio, sampleRate);
+    if (settings.normalize && Number.isFinite(result.loudness)) {
+        result.gainDb = normalizeLoudness(audio, result.loudness, settings.targetLufs, settings.maxGainDb);
+        result.steps.push('normalize');
+    }
+    
+    if (settings.trimSilence) {
+        const { start, end } = findSpeechBounds(audio, sampleRate);
+        if (start > 0 || end < audio.length) {
+            audio = audio.slice(start, end);
+            result.offset = start / sampleRate;
+            result.steps.push('trim');
+        }
+    }
+    
+    result.samples = audio;
+    return result;
+}
+
+// ---------- Filters ----------
+
+// RBJ cookbook biquad, normalised so a0 = 1
+function biquadCoefficients(type, frequency, q, sampleRate, gainDb = 0) {
+    const w0 = 2 * Math.PI * frequency / sampleRate;
+    const cos = Math.cos(w0);
+    const alpha = Math.sin(w0) / (2 * q);
+    let b, a;
+    
+    if (type === 'highpass') {
+        b = [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+        a = [1 + alpha, -2 * cos, 1 - alpha];
+    } else if (type === 'highshelf') {
+        const A = Math.pow(10, gainDb / 40);
+        const sqrtA = 2 * Math.sqrt(A) * alpha;
+        b = [A * ((A + 1) + (A - 1) * cos + sqrtA), -2 * A * ((A - 1) + (A + 1) * cos), A * ((A + 1) + (A - 1) * cos - sqrtA)];
+        a = [(A + 1) - (A - 1) * cos + sqrtA, 2 * ((A - 1) - (A + 1) * cos), (A + 1) - (A - 1) * cos - sqrtA];
+    } else {
+        throw new Error(`Unknown filter type: ${type}`);
+    }
+    
+    return { b0: b[0] / a[0], b1: b[1] / a[0], b2: b[2] / a[0], a1: a[1] / a[0], a2: a[2] / a[0] };
+}
+
+// Butterworth (Q = 1/√2) high-pass
+function highPassCoefficients(frequency, sampleRate) {
+    return biquadCoefficients('highpass', frequency, Math.SQRT1_2, sampleRate);
+}
+
+// Filter in place (direct form I)
+function applyBiquad(samples, { b0, b1, b2, a1, a2 }) {
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const x = samples[i];
+        const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        samples[i] = y;
+    }
+    return samples;
+}
+
+// ---------- Loudness ----------
+
+// Integrated loudness (LUFS) per ITU-R BS.1770: K-weighting, 400 ms blocks,
+// absolute and relative gates. Shorter audio is measured as one block
+function measureLoudness(samples, sampleRate) {
+    // K-weighting: head-related high shelf + RLB high-pass, designed for any rate
+    const weighted = new Float32Array(samples);
+    applyBiquad(weighted, biquadCoefficients('highshelf', 1681.97, 0.7072, sampleRate, 4.0));
+    applyBiquad(weighted, biquadCoefficients('highpass', 38.14, 0.5003, sampleRate));
+    
+    const blockSize = Math.min(weighted.length, Math.round(LOUDNESS_BLOCK_SECONDS * sampleRate));
+    const hop = Math.max(1, Math.round(blockSize / 4));
+    const powers = [];
+    for (let start = 0; start + blockSize <= weighted.length; start += hop) {
+        let sum = 0;
+        for (let i = start; i < start + blockSize; i++) {
+            sum += weighted[i] * weighted[i];
+        }
+        powers.push(sum / blockSize);
+    }
+    
+    const toLufs = power => -0.691 + 10 * Math.log10(power);
+    const gatedMean = threshold => {
+        const kept = powers.filter(power => toLufs(power) > threshold);
+        return kept.length ? kept.reduce((sum, power) => sum + power, 0) / kept.length : 0;
+    };
+    
+    const absolute = gatedMean(LOUDNESS_ABSOLUTE_GATE);
+    if (absolute === 0) return -Infinity;
+    return toLufs(gatedMean(toLufs(absolute) + LOUDNESS_RELATIVE_GATE));
+}
+
+// Scale in place towards targetLufs, capped by maxGainDb and the peak
+// ceiling. Returns the gain applied (dB)
+function normalizeLoudness(samples, loudness, targetLufs, maxGainDb) {
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    if (peak === 0) return 0;
+    
+    const gainDb = Math.min(targetLufs - loudness, maxGainDb, 20 * Math.log10(PEAK_CEILING / peak));
+    const gain = Math.pow(10, gainDb / 20);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] *= gain;
+    }
+    return gainDb;
+}
+
+// ---------- Noise reduction ----------
+
+// Spectral subtraction: the noise spectrum is the mean magnitude of the
+// quietest frames, subtracted (times amount) from every frame with a floor,
+// then resynthesised by overlap-add of Hann windows (50% hop sums to 1)
+function reduceNoise(samples, amount) {
+    const size = NOISE_FFT_SIZE;
+    const hop = size / 2;
+    if (samples.length < size * 4) return samples; // Too short to tell noise from speech
+    
+    const hann = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+    }
+    
+    // Analysis
+    const frames = [];
+    for (let start = 0; start + size <= samples.length; start += hop) {
+        const re = new Float32Array(size);
+        const im = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            re[i] = samples[start + i] * hann[i];
+        }
+        fft(re, im);
+        
+        const magnitude = new Float32Array(size / 2 + 1);
+        let energy = 0;
+        for (let k = 0; k <= size / 2; k++) {
+            magnitude[k] = Math.hypot(re[k], im[k]);
+            energy += magnitude[k] * magnitude[k];
+        }
+        frames.push({ start, re, im, magnitude, energy });
+    }
+    
+    // Noise profile from the quietest frames
+    const quietest = [...frames].sort((a, b) => a.energy - b.energy)
+        .slice(0, Math.max(1, Math.floor(frames.length * NOISE_PROFILE_QUANTILE)));
+    const noise = new Float32Array(size / 2 + 1);
+    for (const frame of quietest) {
+        for (let k = 0; k <= size / 2; k++) {
+            noise[k] += frame.magnitude[k] / quietest.length;
+        }
+    }
+    
+    // Subtract, resynthesise and overlap-add
+    const output = new Float32Array(samples.length);
+    for (const { start, re, im, magnitude } of frames) {
+        for (let k = 0; k <= size / 2; k++) {
+            const cleaned = Math.max(magnitude[k] - amount * noise[k], NOISE_SPECTRAL_FLOOR * magnitude[k]);
+            const scale = magnitude[k] > 0 ? cleaned / magnitude[k] : 0;
+            re[k] *= scale;
+            im[k] *= scale;
+            if (k > 0 && k < size / 2) {
+                re[size - k] = re[k];
+                im[size - k] = -im[k];
+            }
+        }
+        ifft(re, im);
+        for (let i = 0; i < size; i++) {
+            output[start + i] += re[i];
+        }
+    }
+    
+    // The first and last half frames only got one window; keep them as they were
+    const covered = frames[frames.length - 1].start + size;
+    for (let i = 0; i < hop; i++) {
+        output[i] = samples[i];
+    }
+    for (let i = covered - hop; i < samples.length; i++) {
+        output[i] = samples[i];
+    }
+    return output;
+}
+
+// In-place radix-2 FFT (length must be a power of two)
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    
+    for (let length = 2; length <= n; length <<= 1) {
+        const angle = -2 * Math.PI / length;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+        for (let start = 0; start < n; start += length) {
+            let uRe = 1, uIm = 0;
+            for (let k = 0; k < length / 2; k++) {
+                const a = start + k;
+                const b = a + length / 2;
+                const tRe = re[b] * uRe - im[b] * uIm;
+                const tIm = re[b] * uIm + im[b] * uRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = uRe * wRe - uIm * wIm;
+                uIm = uRe * wIm + uIm * wRe;
+                uRe = nextRe;
+            }
+        }
+    }
+}
+
+// Inverse FFT via the conjugate trick, scaled by 1/n
+function ifft(re, im) {
+    for (let i = 0; i < im.length; i++) im[i] = -im[i];
+    fft(re, im);
+    for (let i = 0; i < re.length; i++) {
+        re[i] /= re.length;
+        im[i] = -im[i] / re.length;
+    }
+}
+
+// ---------- Silence trimming ----------
+
+// First/last sample worth keeping: 10 ms frames within TRIM_THRESHOLD_DB of
+// the loudest one, plus padding. Returns the whole range if nothing stands out
+function findSpeechBounds(samples, sampleRate) {
+    const frameSize = Math.max(1, Math.round(TRIM_FRAME_SECONDS * sampleRate));
+    const frameCount = Math.floor(samples.length / frameSize);
+    const levels = new Float32Array(frameCount);
+    let loudest = 0;
+    
+    for (let f = 0; f < frameCount; f++) {
+        let sum = 0;
+        for (let i = f * frameSize; i < (f + 1) * frameSize; i++) {
+            sum += samples[i] * samples[i];
+        }
+        levels[f] = Math.sqrt(sum / frameSize);
+        loudest = Math.max(loudest, levels[f]);
+    }
+    if (loudest === 0) return { start: 0, end: samples.length };
+    
+    const threshold = loudest * Math.pow(10, TRIM_THRESHOLD_DB / 20);
+    let first = 0;
+    while (first < frameCount && levels[first] < threshold) first++;
+    let last = frameCount - 1;
+    while (last > first && levels[last] < threshold) last--;
+    
+    const padding = Math.round(TRIM_PADDING_SECONDS * sampleRate);
+    return {
+        start: Math.max(0, first * frameSize - padding),
+        end: Math.min(samples.length, (last + 1) * frameSize + padding)
+    };
+}
@@ -0,0 +1,139 @@
+// Hosts the transformers.js pipelines (Whisper, DistilBART) off the main thread
+// so the page, the live overlay and the meters stay responsive during inference.
+//
+// Protocol (every request carries a requestId, answered exactly once):
+//   { type: 'load', task, model, options }  -> 'progress'* then 'loaded'
+//   { type: 'run', model, input, options }  -> 'result'
+//   { type: 'detect_language', model, input, languages } -> 'result' {language, probability}
+//   { type: 'unload', model }               -> 'unloaded'
+//   { type: 'cancel', requestId }           -> no reply; drops a queued run
+// Failures answer { type: 'error', requestId, message }
+import { pipeline, env, Tensor } from 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2';
+
+// CRITICAL: allowLocalModels FALSE forces CDN loading ("Unsupported model type")
+env.allowLocalModels = false;
+env.backends.onnx.wasm.numThreads = navigator.hardwareConcurrency || 4;
+env.backends.onnx.wasm.proxy = false; // Already off the main thread
+
+// Whisper's language tokens: <|en|>, <|haw|>, ...
+const LANGUAGE_TOKEN = /^<\|([a-z]{2,3})\|>$/;
+
+const pipelines = new Map(); // model id -> Promise of the loaded pipeline
+const runQueue = [];         // Inference (runs, language detection) one at a time, in arrival order
+const cancelled = new Set(); // requestIds to drop before they start
+let running = false;
+
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    switch (message.type) {
+        case 'load':
+            // Loads don't queue behind inference: a summarizer download must
+            // not hold up live utterances
+            reply(message, 'loaded', () => loadPipeline(message));
+            break;
+        case 'run':
+        case 'detect_language':
+            runQueue.push(message);
+            drainRunQueue();
+            break;
+        case 'unload':
+            reply(message, 'unloaded', () => unloadPipeline(message.model));
+            break;
+        case 'cancel':
+            if (runQueue.some(queued => queued.requestId === message.requestId)) {
+                cancelled.add(message.requestId);
+            }
+            break;
+        default:
+            self.postMessage({ type: 'error', requestId: message.requestId, message: `Unknown request: ${message.type}` });
+    }
+};
+
+// Answer a request with the result of work(), or with its error
+async function reply(message, type, work) {
+    try {
+        const result = await work();
+        self.postMessage({ type, requestId: message.requestId, result });
+    } catch (err) {
+        self.postMessage({ type: 'error', requestId: message.requestId, message: err?.message || String(err) });
+    }
+}
+
+function loadPipeline({ requestId, task, model, options = {} }) {
+    let loading = pipelines.get(model);
+    if (!loading) {
+        loading = pipeline(task, model, {
+            ...options,
+            progress_callback: (progress) => self.postMessage({ type: 'progress', requestId, progress })
+        });
+        pipelines.set(model, loading);
+        // A failed load can be retried
+        loading.catch(() => pipelines.delete(model));
+    }
+    return loading.then(() => ({ model }));
+}
+
+async function unloadPipeline(model) {
+    const loading = pipelines.get(model);
+    pipelines.delete(model);
+    if (loading) {
+        const loaded = await loading.catch(() => null);
+        await loaded?.dispose?.();
+    }
+    return { model };
+}
+
+async function drainRunQueue() {
+    if (running) return;
+    running = true;
+    
+    while (runQueue.length > 0) {
+        const message = runQueue.shift();
+        if (cancelled.delete(message.requestId)) continue;
+        
+        await reply(message, 'result', async () => {
+            const loading = pipelines.get(message.model);
+            if (!loading) {
+                throw new Error(`Model not loaded: ${message.model}`);
+            }
+            const run = await loading;
+            return message.type === 'detect_language'
+                ? detectLanguage(run, message.input, message.languages)
+                : run(message.input, message.options);
+        });
+    }
+    
+    running = false;
+}
+
+// Whisper's own language identification: one decoder step after
+// <|startoftranscript|>, softmax over the language tokens (only the allowed
+// ones when languages is non-empty). The first 30s of input decide
+async function detectLanguage({ model, processor, tokenizer }, input, languages = []) {
+    const tokens = tokenizer.model.tokens_to_ids;
+    const candidates = [];
+    for (const [token, id] of tokens) {
+        const match = LANGUAGE_TOKEN.exec(token);
+        if (match && (languages.length === 0 || languages.includes(match[1]))) {
+            candidates.push({ language: match[1], id });
+        }
+    }
+    if (candidates.length === 0) {
+        throw new Error(`Model has no language tokens for: ${languages.join(', ')}`);
+    }
+    
+    const { input_features } = await processor(input);
+    const start = BigInt(tokens.get('<|startoftranscript|>'));
+    const decoder_input_ids = new Tensor('int64', new BigInt64Array([start]), [1, 1]);
+    const { logits } = await model({ input_features, decoder_input_ids });
+    
+    // logits: [1, 1, vocab]
+    const scores = candidates.map(candidate => logits.data[candidate.id]);
+    const max = Math.max(...scores);
+    const weights = scores.map(score => Math.exp(score - max));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const best = weights.indexOf(Math.max(...weights));
+    
+    return { language: candidates[best].language, probability: weights[best] / total };
+}
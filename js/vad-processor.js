@@ -1,37 +1,793 @@
+// Bounds for every setting accepted via processorOptions or 'configure'
+const VAD_SETTING_LIMITS = {
+    energyThreshold: { min: 0.0001, max: 1 },
+    silenceFramesNeeded: { min: 1, max: 2000, integer: true },
+    speechFramesNeeded: { min: 1, max: 500, integer: true },
+    preRollFrames: { min: 0, max: 500, integer: true },
+    postRollFrames: { min: 0, max: 500, integer: true },
+    maxPreRollSize: { min: 1, max: 500, integer: true },
+    maxUtteranceSeconds: { min: 1, max: 30 },
+    startThresholdRatio: { min: 1, max: 50 },
+    stopThresholdRatio: { min: 1, max: 50 },
+    calibrationSeconds: { min: 0, max: 10 },
+    vadMode: { values: ['energy', 'multi'] },
+    speechProbabilityThreshold: { min: 0.05, max: 0.95 }
+};
+
+// Noise floor tracking rates (per 128-sample frame)
+const NOISE_FLOOR_FALL = 0.05;     // Follow quieter input quickly
+const NOISE_FLOOR_RISE = 0.002;    // Creep up slowly while silent
+const NOISE_FLOOR_RISE_SPEECH = 0.0005; // Absorb sustained music/hum even while "speaking"
+const MIN_NOISE_FLOOR = 0.00001;
+
+// MULTI-FEATURE VAD: Weights of each cue in the speech probability
+const FEATURE_WEIGHTS = {
+    periodicity: 0.35,  // Voiced speech is strongly periodic
+    flatness: 0.25,     // Clicks, hiss and slams are spectrally flat
+    zcr: 0.2,           // Speech sits in a moderate zero-crossing band
+    flux: 0.2           // Speech spectra keep changing, hum/drones don't
+};
+const PROBABILITY_SMOOTHING = 0.25; // EMA factor per analysis hop
+
+// SPEAKER FEATURES: 25ms frames every 10ms, standard MFCC front end
+const MEL_FILTERS = 26;
+const MFCC_COUNT = 13;
+const PRE_EMPHASIS = 0.97;
+const LPC_ENVELOPE_SIZE = 512;
+const MAX_FORMANTS = 3;
+const DELTA_WINDOW = 2; // Regression deltas over t-2..t+2
+const PROBABILITY_HYSTERESIS = 0.15; // Keep speaking down to threshold - this
+
+// OVERLAP DETECTION: Two voices show up as a second, unrelated pitch peak
+// and as a pitch track that jumps between them
+const OVERLAP_CENTER_CLIP = 0.3;    // Of the frame's peak amplitude
+const OVERLAP_SECOND_PEAK = 0.4;    // Second peak strength vs the main one
+const OVERLAP_HARMONIC_TOLERANCE = 0.06; // Lags this close to k/2 * period are the same voice
+const OVERLAP_MAX_PITCH = 320;      // Higher "pitches" are formant ripple, not a voice
+const OVERLAP_PITCH_JUMP = 0.2;     // Octaves between consecutive frames
+const OVERLAP_SMOOTHING = 0.2;      // EMA factor per pitch frame (20ms)
+const OVERLAP_START = 0.35;         // Smoothed score that opens a region
+const OVERLAP_STOP = 0.15;          // ...and closes it again
+const MIN_OVERLAP_SECONDS = 0.2;
+const MAX_OVERLAP_REGIONS = 32;
+
+// RING BUFFERS: Render quantum size and the largest calibration window
+const QUANTUM_SIZE = 128;
+const MAX_CALIBRATION_SECONDS = VAD_SETTING_LIMITS.calibrationSeconds.max;
+const LIVE_BUFFER_SECONDS = 30;
+
+// TELEMETRY: Level/state updates for the UI meters, throttled so the port
+// carries ~20 small messages a second instead of one per quantum
+const TELEMETRY_SECONDS = 0.05;
+
+// SAMPLE RATE: The context may not run at 16 kHz (browsers can ignore the
+// requested rate), so utterances and snapshots are resampled for Whisper.
+// Frame-count settings always mean 8ms frames (128 samples at 16 kHz).
+const OUTPUT_SAMPLE_RATE = 16000;
+const FRAME_SECONDS = QUANTUM_SIZE / OUTPUT_SAMPLE_RATE;
+const RESAMPLER_CUTOFF = 0.45;        // Passband edge, fraction of the lower rate
+const RESAMPLER_ZERO_CROSSINGS = 16;  // Sinc lobes on each side of the center
+const RESAMPLER_KAISER_BETA = 8;      // ~80 dB stopband
+const RESAMPLER_CHUNK = 4096;         // Input samples buffered per step
+
+// Twiddle factors per FFT size, computed once (trig calls dominate otherwise)
+const twiddleCache = new Map();
+function getTwiddles(n) {
+    let table = twiddleCache.get(n);
+    if (!table) {
+        table = { cos: new Float32Array(n / 2), sin: new Float32Array(n / 2) };
+        for (let k = 0; k < n / 2; k++) {
+            table.cos[k] = Math.cos(-2 * Math.PI * k / n);
+            table.sin[k] = Math.sin(-2 * Math.PI * k / n);
+        }
+        twiddleCache.set(n, table);
+    }
+    return table;
+}
+
+// In-place iterative radix-2 FFT (length must be a power of two)
+function fft(re, im) {
+    const n = re.length;
+    const twiddles = getTwiddles(n);
+    
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            let t = re[i]; re[i] = re[j]; re[j] = t;
+            t = im[i]; im[i] = im[j]; im[j] = t;
+        }
+    }
+    
+    for (let size = 2; size <= n; size <<= 1) {
+        const half = size >> 1;
+        const stride = n / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const cos = twiddles.cos[k * stride];
+                const sin = twiddles.sin[k * stride];
+                const a = start + k;
+                const b = a + half;
+                const tRe = re[b] * cos - im[b] * sin;
+                const tIm = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+            }
+        }
+    }
+}
+
+function clamp01(value) {
+    return value < 0 ? 0 : value > 1 ? 1 : value;
+}
+
+// Worklet scopes don't always expose performance.now()
+const now = typeof performance !== 'undefined' && performance.now
+    ? () => performance.now()
+    : () => Date.now();
+    
+// Fixed-capacity circular sample buffer. push() never allocates, so it is
+// safe to call on every render quantum.
+class RingBuffer {
+    constructor(capacity) {
+        this.data = new Float32Array(capacity);
+        this.writeIndex = 0;
+        this.length = 0;
+    }
+    
+    get capacity() {
+        return this.data.length;
+    }
+    
+    push(samples, count = samples.length) {
+        const data = this.data;
+        const capacity = data.length;
+        let index = this.writeIndex;
+        for (let i = 0; i < count; i++) {
+            data[index] = samples[i];
+            if (++index === capacity) index = 0;
+        }
+        this.writeIndex = index;
+        this.length = Math.min(capacity, this.length + count);
+    }
+    
+    // Copy the newest `count` samples (oldest first) into target at offset
+    copyLast(count, target, offset = 0) {
+        const data = this.data;
+        const capacity = data.length;
+        count = Math.min(count, this.length);
+        let index = (this.writeIndex - count + capacity) % capacity;
+        for (let i = 0; i < count; i++) {
+            target[offset + i] = data[index];
+            if (++index === capacity) index = 0;
+        }
+        return count;
+    }
+    
+    // Reallocate, keeping as much of the newest audio as still fits
+    resize(capacity) {
+        const data = new Float32Array(capacity);
+        const kept = this.copyLast(capacity, data);
+        this.data = data;
+        this.length = kept;
+        this.writeIndex = kept % capacity;
+    }
+    
+    clear() {
+        this.writeIndex = 0;
+        this.length = 0;
+    }
+}
+
+function gcd(a, b) {
+    while (b) {
+        const t = b;
+        b = a % b;
+        a = t;
+    }
+    return a;
+}
+
+// Zeroth-order modified Bessel function (Kaiser window)
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    for (let k = 1; k < 50 && term > sum * 1e-12; k++) {
+        term *= (x / (2 * k)) ** 2;
+        sum += term;
+    }
+    return sum;
+}
+
+// Streaming rational-ratio resampler: polyphase Kaiser-windowed sinc with
+// its cutoff below both Nyquist rates, so downsampling doesn't alias.
+// process() and flush() write into caller-provided buffers and never
+// allocate; at equal rates input is copied through untouched.
+class Resampler {
+    constructor(inputRate, outputRate) {
+        const divisor = gcd(inputRate, outputRate);
+        this.up = outputRate / divisor;
+        this.down = inputRate / divisor;
+        this.passthrough = this.up === this.down;
+        
+        // Cutoff in cycles per input sample
+        const cutoff = RESAMPLER_CUTOFF * Math.min(inputRate, outputRate) / inputRate;
+        this.half = this.passthrough ? 0 : Math.ceil(RESAMPLER_ZERO_CROSSINGS / (2 * cutoff));
+        this.taps = 2 * this.half;
+        
+        // One filter per output phase, each normalized to unity DC gain
+        this.filters = new Float32Array(this.up * this.taps);
+        const windowNorm = besselI0(RESAMPLER_KAISER_BETA);
+        for (let phase = 0; phase < this.up && !this.passthrough; phase++) {
+            const offset = phase * this.taps;
+            let sum = 0;
+            for (let j = 0; j < this.taps; j++) {
+                // Distance from the output position to input sample j of the window
+                const t = phase / this.up + this.half - 1 - j;
+                const x = 2 * cutoff * t;
+                const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+                const r = t / this.half;
+                const window = Math.abs(r) < 1
+                    ? besselI0(RESAMPLER_KAISER_BETA * Math.sqrt(1 - r * r)) / windowNorm
+                    : 0;
+                this.filters[offset + j] = sinc * window;
+                sum += sinc * window;
+            }
+            for (let j = 0; j < this.taps; j++) this.filters[offset + j] /= sum;
+        }
+        
+        this.history = new Float32Array(this.taps + RESAMPLER_CHUNK);
+        this.reset();
+    }
+    
+    // Most output samples one process() call of `inputLength` can produce
+    maxOutput(inputLength) {
+        return Math.ceil(inputLength * this.up / this.down) + 2;
+    }
+    
+    reset() {
+        // Input before the stream starts counts as silence
+        this.history.fill(0, 0, Math.max(0, this.half - 1));
+        this.historyLength = Math.max(0, this.half - 1);
+        this.historyStart = -this.historyLength; // Input index of history[0]
+        this.inputCount = 0;
+        this.position = 0; // Input index at or before the next output sample
+        this.phase = 0;    // ...and how far past it, in 1/up steps
+    }
+    
+    process(input, start, end, target, offset) {
+        if (this.passthrough) {
+            for (let i = start; i < end; i++) target[offset + i - start] = input[i];
+            return end - start;
+        }
+        
+        let written = 0;
+        while (start < end) {
+            this.compact();
+            const count = Math.min(this.history.length - this.historyLength, end - start);
+            for (let i = 0; i < count; i++) {
+                this.history[this.historyLength + i] = input[start + i];
+            }
+            this.historyLength += count;
+            this.inputCount += count;
+            start += count;
+            written += this.drain(target, offset + written);
+        }
+        return written;
+    }
+    
+    // Emit the tail still waiting on future input (zeros), then start over
+    flush(target, offset) {
+        if (this.passthrough) return 0;
+        
+        this.compact();
+        this.history.fill(0, this.historyLength, this.historyLength + this.half);
+        this.historyLength += this.half;
+        const written = this.drain(target, offset, this.inputCount);
+        this.reset();
+        return written;
+    }
+    
+    // Drop input no output sample needs any more
+    compact() {
+        const drop = this.position - this.half + 1 - this.historyStart;
+        if (drop > 0) {
+            this.history.copyWithin(0, drop, this.historyLength);
+            this.historyLength -= drop;
+            this.historyStart += drop;
+        }
+    }
+    
+    drain(target, offset, limit = Infinity) {
+        const history = this.history;
+        const filters = this.filters;
+        const taps = this.taps;
+        const available = this.historyStart + this.historyLength;
+        let written = 0;
+        
+        while (this.position + this.half < available && this.position < limit) {
+            const first = this.position - this.half + 1 - this.historyStart;
+            const filter = this.phase * taps;
+            let sum = 0;
+            for (let j = 0; j < taps; j++) {
+                sum += history[first + j] * filters[filter + j];
+            }
+            target[offset + written++] = sum;
+            
+            this.phase += this.down;
+            this.position += Math.floor(this.phase / this.up);
+            this.phase %= this.up;
+        }
+        return written;
+    }
+}
+
+// Preallocated per-utterance series of one speaker feature
+class FeatureSeries {
+    constructor(capacity) {
+        this.data = new Float32Array(capacity);
+        this.length = 0;
+    }
+    
+    push(value) {
+        if (this.length < this.data.length) {
+            this.data[this.length++] = value;
+        }
+    }
+    
+    // Sorts in place, so call once the utterance is complete
+    median() {
+        if (this.length === 0) return 0;
+        const sorted = this.data.subarray(0, this.length).sort();
+        const mid = Math.floor(this.length / 2);
+        return this.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+    
+    variance() {
+        if (this.length === 0) return 0;
+        let sum = 0;
+        for (let i = 0; i < this.length; i++) sum += this.data[i];
+        const mean = sum / this.length;
+        let squares = 0;
+        for (let i = 0; i < this.length; i++) squares += (this.data[i] - mean) ** 2;
+        return squares / this.length;
+    }
+    
+    clear() {
+        this.length = 0;
+    }
+}
+
 class VADProcessor extends AudioWorkletProcessor {
     constructor(options) {
         super();
         const cfg = options.processorOptions || {};
         
         // More lenient thresholds to catch all speech
-        this.energyThreshold = cfg.energyThreshold ?? 0.008;  // Lower = more sensitive
-        this.silenceFramesNeeded = cfg.silenceFramesNeeded ?? 35; // ~1.1s silence
-        this.speechFramesNeeded = cfg.speechFramesNeeded ?? 3;   // Quicker trigger
+        this.energyThreshold = 0.008;  // Absolute minimum, lower = more sensitive
+        this.silenceFramesNeeded = 35; // ~1.1s silence
+        this.speechFramesNeeded = 3;   // Quicker trigger
         
         // PRE-ROLL BUFFER: Capture audio BEFORE speech detected
         this.preRollFrames = 15; // ~0.5s before speech
-        this.preRollBuffer = [];
         this.maxPreRollSize = 20;
         
         // POST-ROLL: Keep capturing after silence starts
         this.postRollFrames = 10; // ~0.3s after silence
         
+        // SAMPLE RATE: Whatever the context runs at, frame settings keep
+        // their 8ms meaning and output is resampled to 16 kHz
+        this.frameSamples = Math.round(sampleRate * FRAME_SECONDS);
+        this.quantaPerFrame = sampleRate / OUTPUT_SAMPLE_RATE;
+        this.utteranceResampler = new Resampler(sampleRate, OUTPUT_SAMPLE_RATE);
+        this.liveResampler = new Resampler(sampleRate, OUTPUT_SAMPLE_RATE);
+        this.liveScratch = new Float32Array(this.liveResampler.maxOutput(QUANTUM_SIZE));
+        
         this.isSpeaking = false;
-        this.silenceFrames = 0;
-        this.speechFrames = 0;
-        this.speechBuffer = [];
+        this.silenceQuanta = 0;
+        this.speechQuanta = 0;
         this.speechStartTime = 0;
         // MEMORY OPTIMIZATION: Reduced from 20s to 12s
         // Shorter utterances = smaller tensors = lower memory usage
         // Whisper handles multiple short utterances better than one long one
-        this.maxBufferSize = sampleRate * 12; // 12s max utterance
+        this.maxUtteranceSeconds = 12;
+        this.maxBufferSize = sampleRate * this.maxUtteranceSeconds;
+        
+        // ADAPTIVE NOISE FLOOR: Thresholds track the background level
+        // Hysteresis: speech starts above floor * startRatio and only
+        // ends once energy drops below floor * stopRatio
+        this.startThresholdRatio = 3.0;  // ~+9.5 dB over the floor
+        this.stopThresholdRatio = 1.8;   // ~+5 dB over the floor
+        this.calibrationSeconds = 1.0;   // Listen before detecting anything
+        
+        // Floor rates are per 8ms frame; compound them per render quantum
+        const perQuantum = (rate) => 1 - (1 - rate) ** (1 / this.quantaPerFrame);
+        this.noiseFloorRates = {
+            fall: perQuantum(NOISE_FLOOR_FALL),
+            rise: perQuantum(NOISE_FLOOR_RISE),
+            riseSpeech: perQuantum(NOISE_FLOOR_RISE_SPEECH)
+        };
+        this.noiseFloor = 0;
+        this.calibrating = true;
+        this.calibrationLevels = new Float32Array(Math.ceil(MAX_CALIBRATION_SECONDS * sampleRate / QUANTUM_SIZE) + 1);
+        this.calibrationCount = 0;
+        
+        // MULTI-FEATURE VAD: Energy gate plus a speech probability built
+        // from ZCR, spectral flatness/flux and autocorrelation periodicity
+        this.vadMode = 'multi';
+        this.speechProbabilityThreshold = 0.5;
+        this.speechProbability = 0;
+        this.utteranceProbabilitySum = 0;
+        this.utteranceProbabilityFrames = 0;
+        
+        // ~32ms analysis window (power of two for the FFT), re-analysed every hop
+        this.analysisSize = 2 ** Math.ceil(Math.log2(sampleRate * 0.032));
+        this.analysisHop = Math.max(128, this.analysisSize / 4);
+        this.analysisWindow = new Float32Array(this.analysisSize);
+        this.samplesSinceAnalysis = 0;
+        this.hannWindow = new Float32Array(this.analysisSize);
+        for (let i = 0; i < this.analysisSize; i++) {
+            this.hannWindow[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (this.analysisSize - 1));
+        }
+        this.fftRe = new Float32Array(this.analysisSize);
+        this.fftIm = new Float32Array(this.analysisSize);
+        this.spectrum = new Float32Array(this.analysisSize / 2 + 1);
+        this.previousSpectrum = new Float32Array(this.analysisSize / 2 + 1);
+        this.frameFeatures = { zcr: 0, flatness: 1, flux: 0, periodicity: 0, pitch: 0 };
+        
+        this.autocorrelation = { pitch: 0, strength: 0, lag: 0, minLag: 0, endLag: 0, energy: 0 };
+        this.correlations = new Float64Array(Math.floor(sampleRate / 80) + 1);
+        
+        this.initFeatureExtractor();
+        
+        // Apply caller overrides one at a time, so a bad value keeps only its
+        // own default. A key rejected against another's default (preRollFrames
+        // before a larger maxPreRollSize) gets another try once the rest are in
+        let pending = Object.keys(VAD_SETTING_LIMITS).filter(key => cfg[key] !== undefined);
+        const rejected = new Map();
+        for (let pass = 0; pass < 2 && pending.length > 0; pass++) {
+            pending = pending.filter(key => {
+                try {
+                    this.configure({ [key]: cfg[key] });
+                    rejected.delete(key);
+                    return false;
+                } catch (err) {
+                    rejected.set(key, err.message);
+                    return true;
+                }
+            });
+        }
+        rejected.forEach(message => console.warn('VADProcessor: ignoring invalid processorOptions:', message));
+        this.allocateBuffers();
+        this.startCalibration();
+        
+        // OFFLINE: Later windows of a file continue from the floor the
+        // previous one ended with instead of calibrating on (maybe) speech
+        if (cfg.noiseFloor > 0) {
+            this.noiseFloor = Math.max(cfg.noiseFloor, MIN_NOISE_FLOOR);
+            this.calibrating = false;
+        }
         
         this.frameCount = 0;
         
         // LIVE MODE: Continuous buffering for snapshots
         this.liveMode = false;
-        this.continuousBuffer = [];
-        this.maxContinuousBuffer = sampleRate * 30; // 30s rolling buffer
+        this.liveBuffer = null; // Allocated only while live mode is on
+        this.maxContinuousBuffer = OUTPUT_SAMPLE_RATE * LIVE_BUFFER_SECONDS;
+        
+        // AUDIO THREAD HEALTH: process() time against the real-time budget
+        this.quantumBudgetMs = QUANTUM_SIZE / sampleRate * 1000;
+        this.stats = { quanta: 0, overruns: 0, maxProcessMs: 0, totalProcessMs: 0 };
+        
+        // TELEMETRY: Loudest quantum and waveform envelope since the last update
+        this.telemetryQuanta = Math.max(1, Math.round(TELEMETRY_SECONDS * sampleRate / QUANTUM_SIZE));
+        this.telemetryCount = 0;
+        this.telemetryLevel = 0;
+        this.telemetryMin = 0;
+        this.telemetryMax = 0;
+        
+        // OFFLINE: Files rendered faster than real time pass their length so
+        // the last utterance gets closed; nobody watches the meters there
+        this.inputLength = cfg.inputLength || 0;
+        this.telemetryEnabled = this.inputLength === 0;
+        
+        // CONTROL PROTOCOL: Main thread commands arrive on the worklet port
+        this.port.onmessage = (event) => this.handleMessage(event.data || {});
+    }
+    
+    // Dispatch a control message and reply with an ack or an error.
+    // Replies echo the command type and requestId so the main thread can
+    // match them to the pending request.
+    handleMessage(message) {
+        const { type, requestId } = message;
+        
+        try {
+            switch (type) {
+                case 'enable_live_mode':
+                    this.setLiveMode(!!message.enabled);
+                    this.reply(type, requestId, { enabled: this.liveMode });
+                    break;
+                    
+                case 'get_snapshot': {
+                    if (!this.liveMode) {
+                        throw new Error('Live mode is not enabled');
+                    }
+                    const duration = message.duration ?? 6;
+                    const audio = this.getSnapshot(duration);
+                    if (!audio) {
+                        throw new Error('No audio buffered yet');
+                    }
+                    this.port.postMessage({
+                        type: 'snapshot_ready',
+                        command: type,
+                        requestId,
+                        audio,
+                        sampleRate: OUTPUT_SAMPLE_RATE,
+                        timestamp: currentTime - audio.length / OUTPUT_SAMPLE_RATE
+                    }, [audio.buffer]);
+                    break;
+                }
+                
+                case 'configure':
+                    this.configure(message.config || {});
+                    this.reply(type, requestId, { config: this.getConfig() });
+                    break;
+                    
+                case 'flush': {
+                    const flushed = this.isSpeaking;
+                    if (flushed) {
+                        this.endUtterance();
+                    }
+                    this.reply(type, requestId, { flushed });
+                    break;
+                }
+                
+                case 'reset':
+                    this.reset();
+                    this.reply(type, requestId);
+                    break;
+                    
+                case 'calibrate':
+                    this.startCalibration();
+                    this.reply(type, requestId);
+                    break;
+                    
+                case 'get_state':
+                    this.reply(type, requestId, {
+                        ...this.getDetectorState(),
+                        stats: this.getStats()
+                    });
+                    break;
+                    
+                default:
+                    throw new Error(`Unknown command: ${type}`);
+            }
+        } catch (err) {
+            this.port.postMessage({
+                type: 'error',
+                command: type,
+                requestId,
+                message: err.message
+            });
+        }
+    }
+    
+    reply(command, requestId, payload = {}) {
+        this.port.postMessage({ type: 'ack', command, requestId, ...payload });
+    }
+    
+    setLiveMode(enabled) {
+        this.liveMode = enabled;
+        
+        // Allocate the rolling buffer once up front, and release it as soon
+        // as nobody needs it
+        if (enabled && !this.liveBuffer) {
+            this.liveBuffer = new RingBuffer(this.maxContinuousBuffer);
+            this.liveResampler.reset();
+        } else if (!enabled) {
+            this.liveBuffer = null;
+        }
+    }
+    
+    // Apply setting changes, validating all values before touching state
+    // so a rejected command leaves the processor exactly as it was
+    configure(config) {
+        for (const key of Object.keys(config)) {
+            const limits = VAD_SETTING_LIMITS[key];
+            if (!limits) {
+                throw new Error(`Unknown VAD setting: ${key}`);
+            }
+            const value = config[key];
+            if (limits.values) {
+                if (!limits.values.includes(value)) {
+                    throw new Error(`Invalid value for ${key}: ${value}`);
+                }
+                continue;
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value) ||
+                value < limits.min || value > limits.max ||
+                (limits.integer && !Number.isInteger(value))) {
+                throw new Error(`Invalid value for ${key}: ${value}`);
+            }
+        }
+        
+        const startRatio = config.startThresholdRatio ?? this.startThresholdRatio;
+        const stopRatio = config.stopThresholdRatio ?? this.stopThresholdRatio;
+        if (stopRatio > startRatio) {
+            throw new Error(`stopThresholdRatio (${stopRatio}) cannot exceed startThresholdRatio (${startRatio})`);
+        }
+        
+        const preRollFrames = config.preRollFrames ?? this.preRollFrames;
+        const maxPreRollSize = config.maxPreRollSize ?? this.maxPreRollSize;
+        if (preRollFrames > maxPreRollSize) {
+            throw new Error(`preRollFrames (${preRollFrames}) cannot exceed maxPreRollSize (${maxPreRollSize})`);
+        }
+        
+        const postRollFrames = config.postRollFrames ?? this.postRollFrames;
+        const maxUtteranceSeconds = config.maxUtteranceSeconds ?? this.maxUtteranceSeconds;
+        if (postRollFrames * FRAME_SECONDS >= maxUtteranceSeconds) {
+            throw new Error(`postRollFrames (${postRollFrames}) must be shorter than maxUtteranceSeconds (${maxUtteranceSeconds})`);
+        }
+        
+        // Buffer sizes change: finish the current utterance with the old ones
+        const resize = this.preRoll &&
+            ((config.maxUtteranceSeconds ?? this.maxUtteranceSeconds) !== this.maxUtteranceSeconds ||
+             maxPreRollSize !== this.maxPreRollSize);
+        if (resize && this.isSpeaking) {
+            this.endUtterance();
+        }
+        
+        Object.assign(this, config);
+        this.maxBufferSize = Math.floor(sampleRate * this.maxUtteranceSeconds);
+        
+        if (resize) {
+            this.allocateBuffers();
+        }
+    }
+    
+    // Preallocate everything process() writes to, sized from the settings.
+    // Only called from the constructor and configure(), never per quantum.
+    allocateBuffers() {
+        const preRollCapacity = this.maxPreRollSize * this.frameSamples;
+        if (this.preRoll) {
+            this.preRoll.resize(preRollCapacity);
+        } else {
+            this.preRoll = new RingBuffer(preRollCapacity);
+        }
+        
+        // Pre-roll + speech up to the forced end, plus the quantum that crosses it.
+        // Every append (speech or post-roll) ends the utterance once it passes
+        // maxBufferSize, so nothing is ever written beyond this
+        this.utteranceBuffer = new Float32Array(this.maxBufferSize + preRollCapacity + QUANTUM_SIZE);
+        this.utteranceLength = 0;
+        
+        // The same utterance at 16 kHz, resampled as it arrives
+        this.outputBuffer = new Float32Array(this.utteranceResampler.maxOutput(this.utteranceBuffer.length));
+        this.outputLength = 0;
+        this.resampledLength = 0;
+        this.utteranceResampler.reset();
+        
+        const maxFrames = Math.ceil(this.utteranceBuffer.length / this.featureHop) + 1;
+        this.speakerFeatures = {
+            pitch: new FeatureSeries(maxFrames),
+            energy: new FeatureSeries(maxFrames),
+            f1: new FeatureSeries(maxFrames),
+            f2: new FeatureSeries(maxFrames),
+            f3: new FeatureSeries(maxFrames),
+            lowBand: new FeatureSeries(maxFrames),
+            midBand: new FeatureSeries(maxFrames),
+            highBand: new FeatureSeries(maxFrames),
+            centroid: new FeatureSeries(maxFrames),
+            rolloff: new FeatureSeries(maxFrames)
+        };
+        this.resetSpeakerFeatures();
+    }
+    
+    getConfig() {
+        const config = {};
+        for (const key of Object.keys(VAD_SETTING_LIMITS)) {
+            config[key] = this[key];
+        }
+        return config;
+    }
+    
+    // Drop any in-progress utterance and all buffered audio
+    reset() {
+        this.isSpeaking = false;
+        this.silenceQuanta = 0;
+        this.speechQuanta = 0;
+        this.utteranceLength = 0;
+        this.outputLength = 0;
+        this.resampledLength = 0;
+        this.utteranceResampler.reset();
+        this.resetSpeakerFeatures();
+        this.preRoll.clear();
+        if (this.liveBuffer) {
+            this.liveBuffer.clear();
+            this.liveResampler.reset();
+        }
+        this.speechStartTime = 0;
+        this.startCalibration();
+    }
+    
+    // Measure the background for calibrationSeconds before detecting speech
+    startCalibration() {
+        this.calibrating = this.calibrationSeconds > 0;
+        this.calibrationCount = 0;
+        if (!this.calibrating) {
+            this.noiseFloor = Math.max(this.noiseFloor, MIN_NOISE_FLOOR);
+        }
+    }
+    
+    finishCalibration() {
+        // 20th percentile: robust to a few loud frames during calibration
+        const sorted = this.calibrationLevels.subarray(0, this.calibrationCount).sort();
+        const level = sorted[Math.floor(sorted.length * 0.2)] || 0;
+        
+        this.noiseFloor = Math.max(level, MIN_NOISE_FLOOR);
+        this.calibrating = false;
+        this.calibrationCount = 0;
+        
+        this.port.postMessage({
+            type: 'calibration_complete',
+            timestamp: currentTime,
+            ...this.getDetectorState()
+        });
+    }
+    
+    get startThreshold() {
+        return Math.max(this.energyThreshold, this.noiseFloor * this.startThresholdRatio);
+    }
+    
+    get stopThreshold() {
+        const minimum = this.energyThreshold * (this.stopThresholdRatio / this.startThresholdRatio);
+        return Math.max(minimum, this.noiseFloor * this.stopThresholdRatio);
+    }
+    
+    // Asymmetric smoothing: drop fast to quieter levels, rise slowly
+    updateNoiseFloor(rms, hasSpeech) {
+        let rate;
+        if (rms < this.noiseFloor) {
+            rate = this.noiseFloorRates.fall;
+        } else {
+            rate = hasSpeech ? this.noiseFloorRates.riseSpeech : this.noiseFloorRates.rise;
+        }
+        this.noiseFloor = Math.max(MIN_NOISE_FLOOR, this.noiseFloor + rate * (rms - this.noiseFloor));
+    }
+    
+    getDetectorState() {
+        return {
+            noiseFloor: this.noiseFloor,
+            startThreshold: this.startThreshold,
+            stopThreshold: this.stopThreshold,
+            calibrating: this.calibrating,
+            isSpeaking: this.isSpeaking,
+            vadMode: this.vadMode,
+            speechProbability: this.speechProbability,
+            frameFeatures: { ...this.frameFeatures },
+            inputSampleRate: sampleRate,
+            outputSampleRate: OUTPUT_SAMPLE_RATE
+        };
+    }
+    
+    // Render quanta spanning a number of 8ms frames at the context's rate
+    toQuanta(frames) {
+        return Math.round(frames * this.quantaPerFrame);
+    }
+    
+    getStats() {
+        const { quanta, overruns, maxProcessMs, totalProcessMs } = this.stats;
+        return {
+            quanta,
+            overruns,
+            maxProcessMs,
+            averageProcessMs: quanta > 0 ? totalProcessMs / quanta : 0,
+            budgetMs: this.quantumBudgetMs
+        };
     }
     
     calculateRMS(samples) {
@@ -44,266 +800,857 @@ class VADProcessor extends AudioWorkletProcessor {
     
     // Improved pitch detection using autocorrelation
     calculatePitch(samples) {
-        const minLag = Math.floor(sampleRate / 500); // 500 Hz max
-        const maxLag = Math.floor(sampleRate / 80);  // 80 Hz min
+        return this.calculateAutocorrelation(samples).pitch;
+    }
+    
+    // Autocorrelation peak in the 80-500 Hz range
+    // strength = normalized correlation at the peak (0 = aperiodic, 1 = periodic)
+    // step > 1 decimates the input to keep the cost down at high sample rates
+    // Returns a shared scratch object: read it before the next call
+    calculateAutocorrelation(samples, step = 1) {
+        const rate = sampleRate / step;
+        const length = Math.floor(samples.length / step);
+        const minLag = Math.floor(rate / 500); // 500 Hz max
+        const maxLag = Math.floor(rate / 80);  // 80 Hz min
+        
+        let energy = 0;
+        for (let i = 0; i < length; i++) {
+            energy += samples[i * step] * samples[i * step];
+        }
         
         let bestCorrelation = -1;
         let bestLag = minLag;
+        let lag = minLag;
         
-        for (let lag = minLag; lag < maxLag && lag < samples.length / 2; lag++) {
+        for (; lag < maxLag && lag < length / 2; lag++) {
             let correlation = 0;
-            for (let i = 0; i < samples.length - lag; i++) {
-                correlation += samples[i] * samples[i + lag];
+            for (let i = 0; i < length - lag; i++) {
+                correlation += samples[i * step] * samples[(i + lag) * step];
             }
+            this.correlations[lag] = correlation;
             if (correlation > bestCorrelation) {
                 bestCorrelation = correlation;
                 bestLag = lag;
             }
         }
         
-        return sampleRate / bestLag; // Frequency in Hz
+        const result = this.autocorrelation;
+        result.pitch = rate / bestLag; // Frequency in Hz
+        result.strength = energy > 0 ? Math.max(0, bestCorrelation / energy) : 0;
+        result.lag = bestLag;
+        result.minLag = minLag;
+        result.endLag = lag;
+        result.energy = energy;
+        return result;
     }
     
-    // Spectral features (multiple bands)
-    calculateSpectralFeatures(samples) {
-        const features = {
-            lowBand: 0,   // 0-300 Hz (bass, fundamental)
-            midBand: 0,   // 300-2000 Hz (formants, vowels)
-            highBand: 0,  // 2000+ Hz (consonants, sibilants)
-        };
+    // Strength of the best autocorrelation peak whose lag is not related to
+    // the main period, i.e. a second simultaneous voice. Half-multiples count
+    // as related: a dominant 2nd harmonic puts peaks at 0.5x and 1.5x.
+    // Reads the correlations left by the last calculateAutocorrelation().
+    calculateSecondPitchStrength(step = 1) {
+        const { lag: mainLag, minLag, endLag, energy } = this.autocorrelation;
+        if (energy <= 0) return 0;
+        
+        const correlations = this.correlations;
+        const firstLag = Math.max(minLag + 1, Math.ceil(sampleRate / step / OVERLAP_MAX_PITCH));
+        let best = 0;
+        for (let lag = firstLag; lag < endLag - 1; lag++) {
+            const value = correlations[lag];
+            if (value <= best || value < correlations[lag - 1] || value < correlations[lag + 1]) continue;
+            
+            const ratio = lag > mainLag ? lag / mainLag : mainLag / lag;
+            const multiple = Math.round(ratio * 2) / 2;
+            if (Math.abs(ratio / multiple - 1) < OVERLAP_HARMONIC_TOLERANCE) continue;
+            
+            best = value;
+        }
+        return best / energy;
+    }
+    
+    // Zero crossings per sample
+    calculateZCR(samples) {
+        let crossings = 0;
+        for (let i = 1; i < samples.length; i++) {
+            if ((samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+        }
+        return crossings / (samples.length - 1);
+    }
+    
+    // Shift the latest quantum into the analysis window
+    pushAnalysisFrame(samples) {
+        const window = this.analysisWindow;
+        window.copyWithin(0, samples.length);
+        window.set(samples, window.length - samples.length);
+        this.samplesSinceAnalysis += samples.length;
+    }
+    
+    // Per-hop frame features for the multi-feature decision
+    analyzeFrame() {
+        const window = this.analysisWindow;
+        const re = this.fftRe;
+        const im = this.fftIm;
+        
+        for (let i = 0; i < window.length; i++) {
+            re[i] = window[i] * this.hannWindow[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+        
+        // Power spectrum, flatness over the speech band (100-4000 Hz)
+        const binHz = sampleRate / window.length;
+        const lowBin = Math.max(1, Math.round(100 / binHz));
+        const highBin = Math.min(this.spectrum.length - 1, Math.round(4000 / binHz));
+        let logSum = 0;
+        let linSum = 0;
+        let total = 0;
+        for (let k = 0; k < this.spectrum.length; k++) {
+            const power = re[k] * re[k] + im[k] * im[k];
+            this.spectrum[k] = power;
+            total += power;
+            if (k >= lowBin && k <= highBin) {
+                logSum += Math.log(power + 1e-12);
+                linSum += power;
+            }
+        }
+        const bins = highBin - lowBin + 1;
+        const flatness = linSum > 0 ? Math.exp(logSum / bins) / (linSum / bins) : 1;
+        
+        // Flux between consecutive normalized magnitude spectra
+        let flux = 0;
+        for (let k = 0; k < this.spectrum.length; k++) {
+            const current = total > 0 ? Math.sqrt(this.spectrum[k] / total) : 0;
+            const diff = current - this.previousSpectrum[k];
+            if (diff > 0) flux += diff;
+            this.previousSpectrum[k] = current;
+        }
+        
+        const step = Math.max(1, Math.floor(sampleRate / 16000));
+        const { pitch, strength } = this.calculateAutocorrelation(window, step);
         
-        // Simple band energy (approximation without FFT)
-        const third = Math.floor(samples.length / 3);
+        // Updated in place: this runs on the audio thread every hop
+        const features = this.frameFeatures;
+        features.zcr = this.calculateZCR(window);
+        features.flatness = flatness;
+        features.flux = flux;
+        features.periodicity = strength;
+        features.pitch = pitch;
+        return features;
+    }
+    
+    // Map frame features onto [0, 1] and combine them
+    scoreFrameFeatures(features) {
+        // Scaled to 16 kHz: voiced speech ~0.02-0.15, fricatives up to ~0.35
+        const zcr = features.zcr * sampleRate / 16000;
+        const zcrScore = zcr < 0.01 ? zcr / 0.01 : clamp01(1 - (zcr - 0.3) / 0.2);
         
-        for (let i = 0; i < third; i++) {
-            features.lowBand += Math.abs(samples[i]);
+        return FEATURE_WEIGHTS.periodicity * clamp01((features.periodicity - 0.2) / 0.5) +
+            FEATURE_WEIGHTS.flatness * clamp01(1 - features.flatness / 0.5) +
+            FEATURE_WEIGHTS.zcr * zcrScore +
+            FEATURE_WEIGHTS.flux * clamp01(features.flux / 0.3);
+    }
+    
+    // Smoothed speech probability; frames below the energy gate count as 0
+    updateSpeechProbability(energyActive) {
+        if (this.samplesSinceAnalysis >= this.analysisHop) {
+            this.samplesSinceAnalysis = 0;
+            const raw = energyActive ? this.scoreFrameFeatures(this.analyzeFrame()) : 0;
+            this.speechProbability += PROBABILITY_SMOOTHING * (raw - this.speechProbability);
         }
-        for (let i = third; i < 2 * third; i++) {
-            features.midBand += Math.abs(samples[i]);
+        return this.speechProbability;
+    }
+    
+    // Precompute frame sizes, mel filterbank and DCT basis for speaker features
+    initFeatureExtractor() {
+        this.featureFrameSize = 2 ** Math.ceil(Math.log2(sampleRate * 0.025));
+        this.featureHop = Math.round(sampleRate * 0.010);
+        this.featureFrame = new Float32Array(this.featureFrameSize);
+        this.featureRe = new Float32Array(this.featureFrameSize);
+        this.featureIm = new Float32Array(this.featureFrameSize);
+        this.featureSpectrum = new Float32Array(this.featureFrameSize / 2 + 1);
+        this.featureWindow = new Float32Array(this.featureFrameSize);
+        for (let i = 0; i < this.featureFrameSize; i++) {
+            this.featureWindow[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (this.featureFrameSize - 1));
+        }
+        
+        // Triangular mel filters between 20 Hz and 8 kHz (or Nyquist)
+        const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+        const fromMel = (mel) => 700 * (10 ** (mel / 2595) - 1);
+        const maxHz = Math.min(8000, sampleRate / 2);
+        const minMel = toMel(20);
+        const maxMel = toMel(maxHz);
+        const binHz = sampleRate / this.featureFrameSize;
+        const edges = [];
+        for (let m = 0; m < MEL_FILTERS + 2; m++) {
+            edges.push(fromMel(minMel + (maxMel - minMel) * m / (MEL_FILTERS + 1)) / binHz);
         }
-        for (let i = 2 * third; i < samples.length; i++) {
-            features.highBand += Math.abs(samples[i]);
+        
+        this.melFilters = [];
+        for (let m = 1; m <= MEL_FILTERS; m++) {
+            const start = Math.floor(edges[m - 1]);
+            const end = Math.ceil(edges[m + 1]);
+            const weights = new Float32Array(end - start + 1);
+            for (let k = start; k <= end; k++) {
+                const rising = (k - edges[m - 1]) / (edges[m] - edges[m - 1]);
+                const falling = (edges[m + 1] - k) / (edges[m + 1] - edges[m]);
+                weights[k - start] = Math.max(0, Math.min(rising, falling));
+            }
+            this.melFilters.push({ start, weights });
+        }
+        this.melEnergies = new Float32Array(MEL_FILTERS);
+        
+        // DCT-II basis for MFCCs
+        this.dctBasis = [];
+        for (let c = 0; c < MFCC_COUNT; c++) {
+            const row = new Float32Array(MEL_FILTERS);
+            for (let m = 0; m < MEL_FILTERS; m++) {
+                row[m] = Math.cos(Math.PI * c * (m + 0.5) / MEL_FILTERS);
+            }
+            this.dctBasis.push(row);
+        }
+        
+        // LPC runs on (at most) 16 kHz audio: order 2 + kHz is the usual rule
+        this.lpcStep = Math.max(1, Math.floor(sampleRate / 16000));
+        this.lpcOrder = 2 + Math.round(sampleRate / this.lpcStep / 1000);
+        this.lpcRe = new Float32Array(LPC_ENVELOPE_SIZE);
+        this.lpcIm = new Float32Array(LPC_ENVELOPE_SIZE);
+        this.lpcFrame = new Float32Array(Math.floor(this.featureFrameSize / this.lpcStep));
+        this.lpcAutocorrelation = new Float64Array(this.lpcOrder + 1);
+        this.lpcCoefficients = new Float64Array(this.lpcOrder + 1);
+        this.lpcPrevious = new Float64Array(this.lpcOrder + 1);
+        this.formants = new Float32Array(MAX_FORMANTS);
+        this.overlapRegions = new Float32Array(MAX_OVERLAP_REGIONS * 3); // start, end, peak score
+        this.clippedFrame = new Float32Array(this.featureFrameSize);
+        
+        // MFCC statistics accumulate per frame; deltas only need the last 2N+1 frames
+        this.mfccHistory = new Float32Array((2 * DELTA_WINDOW + 1) * MFCC_COUNT);
+        this.mfccSum = new Float64Array(MFCC_COUNT);
+        this.mfccSquares = new Float64Array(MFCC_COUNT);
+        this.mfccDeltaSum = new Float64Array(MFCC_COUNT);
+        
+        // Scratch results, overwritten on every frame
+        this.spectralFeatures = { lowBand: 0, midBand: 0, highBand: 0, centroid: 0, rolloff: 0 };
+    }
+    
+    // Windowed, pre-emphasized power spectrum of one feature frame
+    calculatePowerSpectrum(frame) {
+        const re = this.featureRe;
+        const im = this.featureIm;
+        
+        re[0] = frame[0] * this.featureWindow[0];
+        im[0] = 0;
+        for (let i = 1; i < frame.length; i++) {
+            re[i] = (frame[i] - PRE_EMPHASIS * frame[i - 1]) * this.featureWindow[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+        
+        for (let k = 0; k < this.featureSpectrum.length; k++) {
+            this.featureSpectrum[k] = re[k] * re[k] + im[k] * im[k];
+        }
+        return this.featureSpectrum;
+    }
+    
+    // Band energy proportions, spectral centroid and 85% rolloff
+    calculateSpectralFeatures(spectrum) {
+        const binHz = sampleRate / this.featureFrameSize;
+        const features = this.spectralFeatures;
+        features.lowBand = 0;   // 0-300 Hz (bass, fundamental)
+        features.midBand = 0;   // 300-2000 Hz (formants, vowels)
+        features.highBand = 0;  // 2000+ Hz (consonants, sibilants)
+        features.centroid = 0;
+        features.rolloff = 0;
+        
+        let total = 0;
+        let weighted = 0;
+        for (let k = 0; k < spectrum.length; k++) {
+            const hz = k * binHz;
+            const power = spectrum[k];
+            if (hz < 300) features.lowBand += power;
+            else if (hz < 2000) features.midBand += power;
+            else features.highBand += power;
+            total += power;
+            weighted += hz * power;
         }
         
         // Normalize to proportions
-        const total = features.lowBand + features.midBand + features.highBand;
         if (total > 0) {
             features.lowBand /= total;
             features.midBand /= total;
             features.highBand /= total;
+            features.centroid = weighted / total;
+            
+            let cumulative = 0;
+            for (let k = 0; k < spectrum.length; k++) {
+                cumulative += spectrum[k];
+                if (cumulative >= 0.85 * total) {
+                    features.rolloff = k * binHz;
+                    break;
+                }
+            }
         }
         
         return features;
     }
     
-    // Formant approximation (vowel characteristics)
-    calculateFormants(samples) {
-        // Simplified formant estimation using peak detection
-        const peaks = [];
-        for (let i = 1; i < samples.length - 1; i++) {
-            if (Math.abs(samples[i]) > Math.abs(samples[i-1]) && 
-                Math.abs(samples[i]) > Math.abs(samples[i+1]) &&
-                Math.abs(samples[i]) > 0.1) {
-                peaks.push(i);
+    // Log mel filterbank energies -> DCT-II -> MFCCs, written to target at offset
+    calculateMFCC(spectrum, target = new Float32Array(MFCC_COUNT), offset = 0) {
+        for (let m = 0; m < MEL_FILTERS; m++) {
+            const { start, weights } = this.melFilters[m];
+            let energy = 0;
+            for (let i = 0; i < weights.length && start + i < spectrum.length; i++) {
+                energy += weights[i] * spectrum[start + i];
             }
+            this.melEnergies[m] = Math.log(energy + 1e-10);
         }
         
-        // Return average peak spacing (formant proxy)
-        if (peaks.length > 1) {
-            let avgSpacing = 0;
-            for (let i = 1; i < peaks.length; i++) {
-                avgSpacing += peaks[i] - peaks[i-1];
+        for (let c = 0; c < MFCC_COUNT; c++) {
+            let sum = 0;
+            for (let m = 0; m < MEL_FILTERS; m++) {
+                sum += this.dctBasis[c][m] * this.melEnergies[m];
             }
-            return avgSpacing / (peaks.length - 1);
+            target[offset + c] = sum;
+        }
+        return target;
+    }
+    
+    // Formants F1-F3 from peaks of the LPC spectral envelope
+    // Written to this.formants; returns how many were found
+    calculateFormants(frame) {
+        const step = this.lpcStep;
+        const rate = sampleRate / step;
+        const order = this.lpcOrder;
+        const length = this.lpcFrame.length;
+        
+        // Autocorrelation of the pre-emphasized, windowed frame
+        const x = this.lpcFrame;
+        x[0] = 0;
+        for (let i = 1; i < length; i++) {
+            x[i] = (frame[i * step] - PRE_EMPHASIS * frame[(i - 1) * step]) *
+                (0.54 - 0.46 * Math.cos(2 * Math.PI * i / (length - 1)));
+        }
+        const r = this.lpcAutocorrelation;
+        r.fill(0);
+        for (let lag = 0; lag <= order; lag++) {
+            for (let i = 0; i < length - lag; i++) {
+                r[lag] += x[i] * x[i + lag];
+            }
+        }
+        if (r[0] <= 0) return 0;
+        
+        // Levinson-Durbin recursion
+        const a = this.lpcCoefficients;
+        const previous = this.lpcPrevious;
+        a.fill(0);
+        a[0] = 1;
+        let error = r[0];
+        for (let i = 1; i <= order; i++) {
+            let acc = r[i];
+            for (let j = 1; j < i; j++) acc += a[j] * r[i - j];
+            const k = -acc / error;
+            previous.set(a);
+            for (let j = 1; j < i; j++) a[j] = previous[j] + k * previous[i - j];
+            a[i] = k;
+            error *= 1 - k * k;
+            if (error <= 0) return 0;
+        }
+        
+        // Envelope = 1 / |A(e^jw)|^2, then pick the lowest peaks above 90 Hz
+        const re = this.lpcRe;
+        const im = this.lpcIm;
+        re.fill(0);
+        im.fill(0);
+        for (let i = 0; i <= order; i++) re[i] = a[i];
+        fft(re, im);
+        
+        const binHz = rate / LPC_ENVELOPE_SIZE;
+        const formants = this.formants;
+        let count = 0;
+        const lastBin = Math.min(LPC_ENVELOPE_SIZE / 2 - 1, Math.floor(5000 / binHz));
+        for (let k = Math.max(1, Math.ceil(90 / binHz)); k < lastBin && count < MAX_FORMANTS; k++) {
+            const left = 1 / (re[k - 1] * re[k - 1] + im[k - 1] * im[k - 1] + 1e-12);
+            const mid = 1 / (re[k] * re[k] + im[k] * im[k] + 1e-12);
+            const right = 1 / (re[k + 1] * re[k + 1] + im[k + 1] * im[k + 1] + 1e-12);
+            if (mid > left && mid >= right) {
+                // Parabolic interpolation in the log domain
+                const l = Math.log(left), c = Math.log(mid), rr = Math.log(right);
+                const offset = 0.5 * (l - rr) / (l - 2 * c + rr || 1);
+                formants[count++] = (k + offset) * binHz;
+            }
+        }
+        return count;
+    }
+    
+    // Add |delta| of MFCC frame t to the running sums, using first-order
+    // regression deltas (N = 2) clamped at the last frame available
+    accumulateMfccDelta(t, last) {
+        const history = this.mfccHistory;
+        const frames = 2 * DELTA_WINDOW + 1;
+        for (let c = 0; c < MFCC_COUNT; c++) {
+            let delta = 0;
+            for (let n = 1; n <= DELTA_WINDOW; n++) {
+                const next = history[(Math.min(last, t + n) % frames) * MFCC_COUNT + c];
+                const prev = history[(Math.max(0, t - n) % frames) * MFCC_COUNT + c];
+                delta += n * (next - prev);
+            }
+            this.mfccDeltaSum[c] += Math.abs(delta / 10); // 2 * (1^2 + 2^2)
         }
-        return 0;
     }
     
     process(inputs, outputs, parameters) {
         const input = inputs[0];
         if (!input || !input[0]) return true;
         
-        const samples = input[0];
+        const started = now();
+        this.processQuantum(input[0]);
         
-        // LIVE MODE: Always buffer for snapshots
-        if (this.liveMode) {
-            this.continuousBuffer.push(new Float32Array(samples));
-            
-            // Maintain rolling buffer (keep last 30s)
-            const totalSamples = this.continuousBuffer.length * 128;
-            if (totalSamples > this.maxContinuousBuffer) {
-                this.continuousBuffer.shift();
-            }
+        // Anything over the quantum's real-time budget risks a dropout
+        const elapsed = now() - started;
+        const stats = this.stats;
+        stats.quanta++;
+        stats.totalProcessMs += elapsed;
+        if (elapsed > stats.maxProcessMs) stats.maxProcessMs = elapsed;
+        if (elapsed > this.quantumBudgetMs) stats.overruns++;
+        
+        if (this.inputLength > 0 && currentFrame + QUANTUM_SIZE >= this.inputLength) {
+            this.finishInput();
+        }
+        return true;
+    }
+    
+    // OFFLINE: The whole file went through, flush the utterance in progress
+    // (there is no trailing silence to end it) and tell the main thread
+    finishInput() {
+        this.inputLength = 0;
+        if (this.isSpeaking) {
+            this.endUtterance();
+        }
+        this.port.postMessage({ type: 'input_complete', timestamp: currentTime, noiseFloor: this.noiseFloor });
+    }
+    
+    processQuantum(samples) {
+        // LIVE MODE: Always buffer for snapshots (ring keeps the last 30s)
+        if (this.liveBuffer) {
+            const count = this.liveResampler.process(samples, 0, samples.length, this.liveScratch, 0);
+            this.liveBuffer.push(this.liveScratch, count);
         }
         
         const rms = this.calculateRMS(samples);
-        const hasSpeech = rms > this.energyThreshold;
         
-        // Always maintain pre-roll buffer
-        this.preRollBuffer.push(new Float32Array(samples));
-        if (this.preRollBuffer.length > this.maxPreRollSize) {
-            this.preRollBuffer.shift();
+        // CALIBRATION: Only measure the background, never trigger speech
+        if (this.calibrating) {
+            if (this.calibrationCount < this.calibrationLevels.length) {
+                this.calibrationLevels[this.calibrationCount++] = rms;
+            }
+            if (this.calibrationCount * QUANTUM_SIZE >= this.calibrationSeconds * sampleRate) {
+                this.finishCalibration();
+            }
+        }
+        
+        // Hysteresis: harder to start speech than to keep it going
+        const threshold = this.isSpeaking ? this.stopThreshold : this.startThreshold;
+        const energyActive = !this.calibrating && rms > threshold;
+        let hasSpeech = energyActive;
+        
+        // MULTI-FEATURE: Loud is not enough, it also has to look like speech
+        if (this.vadMode === 'multi') {
+            this.pushAnalysisFrame(samples);
+            const probability = this.updateSpeechProbability(energyActive);
+            const probabilityThreshold = this.isSpeaking
+                ? this.speechProbabilityThreshold - PROBABILITY_HYSTERESIS
+                : this.speechProbabilityThreshold;
+            hasSpeech = energyActive && probability >= probabilityThreshold;
+        }
+        
+        if (this.isSpeaking) {
+            this.utteranceProbabilitySum += this.vadMode === 'multi' ? this.speechProbability : 1;
+            this.utteranceProbabilityFrames++;
+        }
+        
+        if (!this.calibrating) {
+            this.updateNoiseFloor(rms, hasSpeech);
         }
         
         if (hasSpeech) {
-            this.speechFrames++;
-            this.silenceFrames = 0;
+            this.speechQuanta++;
+            this.silenceQuanta = 0;
             
             // SPEECH START: Add pre-roll buffer!
-            if (!this.isSpeaking && this.speechFrames >= this.speechFramesNeeded) {
+            if (!this.isSpeaking && this.speechQuanta >= this.toQuanta(this.speechFramesNeeded)) {
                 this.isSpeaking = true;
-                this.speechStartTime = currentTime - (this.preRollBuffer.length * 128 / sampleRate);
+                this.utteranceProbabilitySum = 0;
+                this.utteranceProbabilityFrames = 0;
+                this.resetSpeakerFeatures();
                 
-                // Add pre-roll frames first
-                this.speechBuffer = [...this.preRollBuffer.slice(-this.preRollFrames)];
+                // Add pre-roll frames first (the pre-roll doesn't hold this quantum yet)
+                this.utteranceLength = this.preRoll.copyLast(this.preRollFrames * this.frameSamples, this.utteranceBuffer);
+                this.speechStartTime = currentTime - this.utteranceLength / sampleRate;
                 
                 this.port.postMessage({ 
                     type: 'speech_start',
-                    timestamp: this.speechStartTime
+                    timestamp: this.speechStartTime,
+                    noiseFloor: this.noiseFloor,
+                    threshold: threshold,
+                    speechProbability: this.speechProbability
                 });
             }
             
             if (this.isSpeaking) {
-                this.speechBuffer.push(new Float32Array(samples));
+                this.appendToUtterance(samples);
                 
                 // Force end if too long
-                if (this.speechBuffer.length * 128 > this.maxBufferSize) {
+                if (this.utteranceLength > this.maxBufferSize) {
                     this.endUtterance();
                 }
             }
             
         } else {
-            this.silenceFrames++;
-            this.speechFrames = 0;
+            this.silenceQuanta++;
+            this.speechQuanta = 0;
             
             // POST-ROLL: Continue buffering during early silence
-            if (this.isSpeaking && this.silenceFrames < this.postRollFrames) {
-                this.speechBuffer.push(new Float32Array(samples));
+            if (this.isSpeaking && this.silenceQuanta < this.toQuanta(this.postRollFrames)) {
+                this.appendToUtterance(samples);
+                
+                // Same forced end as during speech: the buffer has no room past it
+                if (this.utteranceLength > this.maxBufferSize) {
+                    this.endUtterance();
+                }
             }
             
             // SPEECH END: Only after extended silence
-            if (this.isSpeaking && this.silenceFrames >= this.silenceFramesNeeded) {
+            if (this.isSpeaking && this.silenceQuanta >= this.toQuanta(this.silenceFramesNeeded)) {
                 this.endUtterance();
             }
         }
         
+        // Always maintain pre-roll buffer (last, so a speech start only copies earlier audio)
+        this.preRoll.push(samples);
+        
+        if (this.telemetryEnabled) {
+            this.updateTelemetry(samples, rms);
+        }
         this.frameCount++;
-        return true;
     }
     
-    endUtterance() {
-        const totalLength = this.speechBuffer.reduce((sum, chunk) => sum + chunk.length, 0);
-        const combined = new Float32Array(totalLength);
-        
-        let offset = 0;
-        for (const chunk of this.speechBuffer) {
-            combined.set(chunk, offset);
-            offset += chunk.length;
+    // Accumulate the quantum and post a telemetry update every TELEMETRY_SECONDS
+    updateTelemetry(samples, rms) {
+        this.telemetryLevel = Math.max(this.telemetryLevel, rms);
+        for (let i = 0; i < samples.length; i++) {
+            const value = samples[i];
+            if (value < this.telemetryMin) this.telemetryMin = value;
+            if (value > this.telemetryMax) this.telemetryMax = value;
         }
         
-        // Calculate speaker features
-        const features = this.extractSpeakerFeatures(combined);
+        if (++this.telemetryCount < this.telemetryQuanta) return;
         
         this.port.postMessage({
-            type: 'speech_end',
-            audio: combined,
-            timestamp: this.speechStartTime,
-            duration: (currentTime - this.speechStartTime).toFixed(2),
-            features: features // For speaker clustering
+            type: 'telemetry',
+            level: this.telemetryLevel, // Loudest quantum RMS
+            min: this.telemetryMin,     // Waveform envelope of the interval
+            max: this.telemetryMax,
+            noiseFloor: this.noiseFloor,
+            threshold: this.isSpeaking ? this.stopThreshold : this.startThreshold,
+            speechProbability: this.vadMode === 'multi' ? this.speechProbability : null,
+            isSpeaking: this.isSpeaking,
+            calibrating: this.calibrating,
+            utteranceSeconds: this.isSpeaking ? this.utteranceLength / sampleRate : 0
         });
         
-        this.isSpeaking = false;
+        this.telemetryCount = 0;
+        this.telemetryLevel = 0;
+        this.telemetryMin = 0;
+        this.telemetryMax = 0;
+    }
+    
+    // Copy a quantum into the preallocated utterance buffer, resample it
+    // and analyze any speaker-feature frames it completes
+    appendToUtterance(samples) {
+        this.utteranceBuffer.set(samples, this.utteranceLength);
+        this.utteranceLength += samples.length;
         
-        // MEMORY OPTIMIZATION: Explicitly clear buffers and trim pre-roll
-        this.speechBuffer = [];
-        this.silenceFrames = 0;
-        this.speechFrames = 0;
+        // Also picks up the pre-roll copied in at speech start
+        this.outputLength += this.utteranceResampler.process(
+            this.utteranceBuffer, this.resampledLength, this.utteranceLength,
+            this.outputBuffer, this.outputLength
+        );
+        this.resampledLength = this.utteranceLength;
         
-        // Keep only the last pre-roll frames to avoid memory buildup
-        if (this.preRollBuffer.length > this.preRollFrames) {
-            this.preRollBuffer = this.preRollBuffer.slice(-this.preRollFrames);
+        this.analyzeSpeakerFrames(this.utteranceBuffer, this.utteranceLength);
+    }
+    
+    endUtterance() {
+        const speechProbability = this.utteranceProbabilityFrames > 0
+            ? this.utteranceProbabilitySum / this.utteranceProbabilityFrames
+            : 0;
+            
+        if (this.vadMode === 'multi' && speechProbability < this.speechProbabilityThreshold) {
+            // Mostly non-speech (clatter, slams, music) - don't send it to Whisper
+            this.port.postMessage({
+                type: 'speech_discarded',
+                timestamp: this.speechStartTime,
+                duration: (currentTime - this.speechStartTime).toFixed(2),
+                speechProbability
+            });
+        } else {
+            // Fresh 16 kHz copy whose buffer is transferred, not cloned
+            this.outputLength += this.utteranceResampler.flush(this.outputBuffer, this.outputLength);
+            const audio = this.outputBuffer.slice(0, this.outputLength);
+            
+            // Speaker features were accumulated while the utterance was buffered
+            const features = this.summarizeSpeakerFeatures(this.utteranceLength);
+            const overlap = this.summarizeOverlap(this.utteranceLength);
+            
+            this.port.postMessage({
+                type: 'speech_end',
+                audio,
+                sampleRate: OUTPUT_SAMPLE_RATE,
+                inputSampleRate: sampleRate,
+                timestamp: this.speechStartTime,
+                duration: (currentTime - this.speechStartTime).toFixed(2),
+                features: features, // For speaker clustering
+                overlap, // Crosstalk regions, seconds from the utterance start
+                noiseFloor: this.noiseFloor,
+                speechProbability
+            }, [audio.buffer]);
         }
+        
+        this.isSpeaking = false;
+        this.utteranceLength = 0;
+        this.outputLength = 0;
+        this.resampledLength = 0;
+        this.utteranceResampler.reset();
+        this.resetSpeakerFeatures();
+        this.silenceQuanta = 0;
+        this.speechQuanta = 0;
     }
     
-    extractSpeakerFeatures(samples) {
-        const windowSize = 4096;
-        const numWindows = Math.floor(samples.length / windowSize);
-        
-        let features = {
-            pitch: [],
-            energy: [],
-            formant: [],
-            lowBand: [],
-            midBand: [],
-            highBand: []
-        };
+    resetSpeakerFeatures() {
+        for (const series of Object.values(this.speakerFeatures)) {
+            series.clear();
+        }
+        this.mfccFrameCount = 0;
+        this.mfccSum.fill(0);
+        this.mfccSquares.fill(0);
+        this.mfccDeltaSum.fill(0);
+        this.featureOffset = 0;
+        this.featureIndex = 0;
+        
+        this.overlapScore = 0;
+        this.overlapStart = -1;
+        this.overlapPeak = 0;
+        this.overlapLastTime = 0;
+        this.overlapPitch = 0;
+        this.overlapPitchIndex = -Infinity;
+        this.overlapCount = 0;
+    }
+    
+    // Analyze every complete 25ms frame (10ms hop) not analyzed yet.
+    // Running this as audio arrives spreads the cost over the utterance
+    // instead of stalling the audio thread when it ends.
+    analyzeSpeakerFrames(samples, length) {
+        const frameSize = this.featureFrameSize;
+        const frame = this.featureFrame;
+        const features = this.speakerFeatures;
+        const pitchStep = Math.max(1, Math.floor(sampleRate / 16000));
         
-        // Extract features from multiple windows
-        for (let i = 0; i < numWindows; i++) {
-            const start = i * windowSize;
-            const window = samples.slice(start, start + windowSize);
+        // Only analyze frames with speech (relative to the room, not a fixed level)
+        const speechLevel = Math.max(this.stopThreshold, 0.002);
+        
+        for (; this.featureOffset + frameSize <= length; this.featureOffset += this.featureHop, this.featureIndex++) {
+            for (let i = 0; i < frameSize; i++) {
+                frame[i] = samples[this.featureOffset + i];
+            }
             
-            const rms = this.calculateRMS(window);
-            if (rms > 0.01) { // Only analyze frames with speech
-                features.pitch.push(this.calculatePitch(window));
-                features.energy.push(rms);
-                features.formant.push(this.calculateFormants(window));
-                
-                const spectral = this.calculateSpectralFeatures(window);
-                features.lowBand.push(spectral.lowBand);
-                features.midBand.push(spectral.midBand);
-                features.highBand.push(spectral.highBand);
+            const rms = this.calculateRMS(frame);
+            if (rms <= speechLevel) continue;
+            
+            features.energy.push(rms);
+            
+            const spectrum = this.calculatePowerSpectrum(frame);
+            const spectral = this.calculateSpectralFeatures(spectrum);
+            features.lowBand.push(spectral.lowBand);
+            features.midBand.push(spectral.midBand);
+            features.highBand.push(spectral.highBand);
+            features.centroid.push(spectral.centroid);
+            features.rolloff.push(spectral.rolloff);
+            
+            const t = this.mfccFrameCount++;
+            const offset = (t % (2 * DELTA_WINDOW + 1)) * MFCC_COUNT;
+            this.calculateMFCC(spectrum, this.mfccHistory, offset);
+            for (let c = 0; c < MFCC_COUNT; c++) {
+                const value = this.mfccHistory[offset + c];
+                this.mfccSum[c] += value;
+                this.mfccSquares[c] += value * value;
+            }
+            // Frame t - N now has all of its right-hand context
+            if (t >= DELTA_WINDOW) {
+                this.accumulateMfccDelta(t - DELTA_WINDOW, t);
+            }
+            
+            // Overlap cues track pitch every 2nd frame; the pitch and formant
+            // features only need every 4th frame, and only voiced ones
+            if (this.featureIndex % 2 === 0) {
+                this.trackOverlap(frame, pitchStep);
+            }
+            if (this.featureIndex % 4 === 0) {
+                const { pitch, strength } = this.calculateAutocorrelation(frame, pitchStep);
+                if (strength > 0.3) {
+                    features.pitch.push(pitch);
+                    const formantCount = this.calculateFormants(frame);
+                    if (formantCount > 0) features.f1.push(this.formants[0]);
+                    if (formantCount > 1) features.f2.push(this.formants[1]);
+                    if (formantCount > 2) features.f3.push(this.formants[2]);
+                }
             }
         }
+    }
+    
+    // Pitch candidates of a center-clipped copy of the frame: clipping
+    // flattens the formant ripple that otherwise shows up as spurious
+    // autocorrelation peaks between the harmonics of a single voice
+    trackOverlap(frame, step) {
+        const clipped = this.clippedFrame;
+        let peak = 0;
+        for (let i = 0; i < frame.length; i++) {
+            peak = Math.max(peak, Math.abs(frame[i]));
+        }
+        const level = OVERLAP_CENTER_CLIP * peak;
+        for (let i = 0; i < frame.length; i++) {
+            const value = frame[i];
+            clipped[i] = value > level ? value - level : value < -level ? value + level : 0;
+        }
         
-        // Return median values (more robust than mean)
-        return {
-            pitch: this.median(features.pitch),
-            energy: this.median(features.energy),
-            formant: this.median(features.formant),
-            lowBand: this.median(features.lowBand),
-            midBand: this.median(features.midBand),
-            highBand: this.median(features.highBand),
-            pitchVariance: this.variance(features.pitch),
-            energyVariance: this.variance(features.energy),
-            duration: samples.length / sampleRate
-        };
+        const { pitch, strength } = this.calculateAutocorrelation(clipped, step);
+        if (strength > 0.3) {
+            this.updateOverlap(pitch, strength, this.calculateSecondPitchStrength(step));
+        }
     }
     
-    median(arr) {
-        if (arr.length === 0) return 0;
-        const sorted = [...arr].sort((a, b) => a - b);
-        const mid = Math.floor(sorted.length / 2);
-        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    // Score the current voiced frame for crosstalk and open/close regions
+    // with hysteresis. Times are seconds from the start of the utterance.
+    updateOverlap(pitch, strength, secondStrength) {
+        const time = (this.featureOffset + this.featureFrameSize / 2) / sampleRate;
+        
+        // Pitch jumps only count between consecutive pitch frames; after a
+        // gap a new syllable may legitimately start anywhere
+        let jump = false;
+        if (this.overlapPitchIndex === this.featureIndex - 2) {
+            const octaves = Math.abs(Math.log2(pitch / this.overlapPitch));
+            jump = octaves > OVERLAP_PITCH_JUMP && Math.abs(octaves - 1) > OVERLAP_PITCH_JUMP / 2;
+        }
+        this.overlapPitch = pitch;
+        this.overlapPitchIndex = this.featureIndex;
+        
+        const multiPitch = secondStrength > OVERLAP_SECOND_PEAK * strength;
+        const score = (multiPitch ? 0.6 : 0) + (jump ? 0.4 : 0);
+        this.overlapScore += OVERLAP_SMOOTHING * (score - this.overlapScore);
+        
+        if (this.overlapStart < 0) {
+            if (this.overlapScore > OVERLAP_START) {
+                this.overlapStart = time;
+                this.overlapPeak = this.overlapScore;
+            }
+        } else {
+            this.overlapPeak = Math.max(this.overlapPeak, this.overlapScore);
+            if (this.overlapScore < OVERLAP_STOP) {
+                this.closeOverlapRegion(time);
+            }
+        }
+        this.overlapLastTime = time;
     }
     
-    variance(arr) {
-        if (arr.length === 0) return 0;
-        const mean = arr.reduce((a, b) => a + b, 0) / arr.length;
-        return arr.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / arr.length;
+    closeOverlapRegion(end) {
+        const start = this.overlapStart;
+        this.overlapStart = -1;
+        if (end - start < MIN_OVERLAP_SECONDS || this.overlapCount >= MAX_OVERLAP_REGIONS) return;
+        
+        const index = this.overlapCount++ * 3;
+        this.overlapRegions[index] = start;
+        this.overlapRegions[index + 1] = end;
+        this.overlapRegions[index + 2] = this.overlapPeak;
     }
     
-    // LIVE MODE: Get snapshot from continuous buffer
-    getSnapshot(durationSeconds) {
-        const sampleCount = Math.floor(sampleRate * durationSeconds);
-        const frameCount = Math.ceil(sampleCount / 128);
+    // Crosstalk regions of the utterance plus the fraction of it they cover
+    summarizeOverlap(sampleCount) {
+        if (this.overlapStart >= 0) {
+            this.closeOverlapRegion(this.overlapLastTime);
+        }
         
-        // Get last N frames
-        const snapshot = this.continuousBuffer.slice(-frameCount);
+        const regions = [];
+        let overlapped = 0;
+        for (let i = 0; i < this.overlapCount; i++) {
+            const start = this.overlapRegions[i * 3];
+            const end = this.overlapRegions[i * 3 + 1];
+            regions.push({ start, end, score: this.overlapRegions[i * 3 + 2] });
+            overlapped += end - start;
+        }
         
-        if (snapshot.length === 0) return null;
+        const duration = sampleCount / sampleRate;
+        return {
+            regions,
+            ratio: duration > 0 ? Math.min(1, overlapped / duration) : 0
+        };
+    }
+    
+    // Summary of the analyzed frames for speaker clustering
+    summarizeSpeakerFeatures(sampleCount) {
+        const features = this.speakerFeatures;
+        const count = this.mfccFrameCount;
         
-        // Combine into single Float32Array
-        const totalLength = snapshot.reduce((sum, chunk) => sum + chunk.length, 0);
-        const combined = new Float32Array(totalLength);
+        // The last N frames never saw their full right-hand context
+        for (let t = Math.max(0, count - DELTA_WINDOW); t < count; t++) {
+            this.accumulateMfccDelta(t, count - 1);
+        }
         
-        let offset = 0;
-        for (const chunk of snapshot) {
-            combined.set(chunk, offset);
-            offset += chunk.length;
+        // MFCC statistics: per-coefficient mean, spread and mean |delta|
+        const mfccMean = new Array(MFCC_COUNT).fill(0);
+        const mfccStd = new Array(MFCC_COUNT).fill(0);
+        const mfccDelta = new Array(MFCC_COUNT).fill(0);
+        if (count > 0) {
+            for (let c = 0; c < MFCC_COUNT; c++) {
+                mfccMean[c] = this.mfccSum[c] / count;
+                mfccStd[c] = Math.sqrt(Math.max(0, this.mfccSquares[c] / count - mfccMean[c] ** 2));
+                mfccDelta[c] = this.mfccDeltaSum[c] / count;
+            }
         }
         
-        return combined;
+        // Return median values (more robust than mean)
+        return {
+            pitch: features.pitch.median(),
+            energy: features.energy.median(),
+            formants: [features.f1.median(), features.f2.median(), features.f3.median()],
+            lowBand: features.lowBand.median(),
+            midBand: features.midBand.median(),
+            highBand: features.highBand.median(),
+            spectralCentroid: features.centroid.median(),
+            spectralRolloff: features.rolloff.median(),
+            mfcc: mfccMean,
+            mfccStd: mfccStd,
+            mfccDelta: mfccDelta,
+            pitchVariance: features.pitch.variance(),
+            energyVariance: features.energy.variance(),
+            duration: sampleCount / sampleRate
+        };
+    }
+    
+    // Speaker features of a whole buffer (up to maxUtteranceSeconds long)
+    extractSpeakerFeatures(samples) {
+        this.resetSpeakerFeatures();
+        this.analyzeSpeakerFrames(samples, samples.length);
+        const features = this.summarizeSpeakerFeatures(samples.length);
+        this.resetSpeakerFeatures();
+        return features;
+    }
+    
+    // LIVE MODE: Copy the last durationSeconds (16 kHz) out of the rolling buffer
+    getSnapshot(durationSeconds) {
+        if (!this.liveBuffer || this.liveBuffer.length === 0) return null;
+        
+        const sampleCount = Math.min(Math.floor(OUTPUT_SAMPLE_RATE * durationSeconds), this.liveBuffer.length);
+        const snapshot = new Float32Array(sampleCount);
+        this.liveBuffer.copyLast(sampleCount, snapshot);
+        return snapshot;
     }
 }
 